@@ -1,5 +1,1659 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
+import {
+  effectivePotential, criticalImpactParameter, newtonianPotential, circularOrbitRadii, turningPoints,
+  orbitFromTurningPoints, integrateGeodesic, sampleGeodesic, localObservables, escapeVelocity, circularOrbitInvariants,
+  initialConditionsFromVelocity, rayDeflection, lightRayInitialConditions, classifyRay,
+  horizonRadii, ergosphereRadius, iscoRadius, photonSphereRadius, lensingTable, lensedDirection,
+  einsteinRingAngle, localFrame, circularOrbitMotion, diskFlux, classifyOrbit, measureOrbit, periapsisShift,
+  SI, SOLAR_MASS, geometrizedUnits, hawkingTemperature, tidalAccelerations, tidalDisruptionRadius,
+  createDust, advanceDust, dustSpeeds
+} from './physics.js';
+
+// Coordinate time, in scene units (M = rs / 2 of them), shown per unit of animation time
+const GEODESIC_TIME_SCALE = 30;
+
+// Animation time spanning the given coordinate time in M, for a hole of mass M in scene units
+const animationTimeFromM = (value, M) => value * M / GEODESIC_TIME_SCALE;
+
+// Interpolated state of a geodesic at the given animation time, looping once its samples run out
+const geodesicStateAt = ({ samples, launchTime = 0 }, time) => {
+  const endTime = samples[samples.length - 1].playbackTime;
+  const playbackTime = endTime > 0 ? (Math.max(0, time - launchTime) * GEODESIC_TIME_SCALE) % endTime : 0;
+  const { index, fraction } = sampleGeodesic(samples, playbackTime);
+  const current = samples[index];
+  const next = samples[Math.min(index + 1, samples.length - 1)];
+  const lerp = (key) => current[key] + (next[key] - current[key]) * fraction;
+  return { index, fraction, r: lerp('r'), phi: lerp('phi'), ur: lerp('ur'), tau: lerp('tau'), t: lerp('t') };
+};
+
+// Point on a particle's drawn path at the given animation time, in scene coordinates
+const trajectoryPointAt = (trajectory, time, target = new THREE.Vector3()) => {
+  const { points } = trajectory;
+  const { index, fraction } = geodesicStateAt(trajectory, time);
+  return target.lerpVectors(points[index], points[Math.min(index + 1, points.length - 1)], fraction);
+};
+
+// Proper time a particle has lived through by the given animation time. Every replay of a bound or
+// escaping path adds a whole lap; a plunging particle's clock stops where it crosses the horizon.
+const properTimeAt = (trajectory, time) => {
+  const { samples, launchTime = 0, fate, horizonCrossing } = trajectory;
+  const end = samples[samples.length - 1];
+  if (samples.length < 2 || end.playbackTime <= 0) return { tau: 0, stopped: false };
+
+  const elapsed = Math.max(0, time - launchTime) * GEODESIC_TIME_SCALE;
+  if (fate === 'plunge') {
+    const finalTau = horizonCrossing?.tau ?? end.tau;
+    if (elapsed >= end.playbackTime) return { tau: finalTau, stopped: true };
+    const { tau } = geodesicStateAt(trajectory, time);
+    return { tau: Math.min(tau, finalTau), stopped: tau >= finalTau };
+  }
+  const laps = Math.floor(elapsed / end.playbackTime);
+  return { tau: laps * end.tau + geodesicStateAt(trajectory, time).tau, stopped: false };
+};
+
+// A clock's reading since the animation time start: a particle's proper time, or the coordinate
+// time kept by a static observer at infinity when no trajectory is given
+const clockReading = (trajectory, time, start) => trajectory
+  ? properTimeAt(trajectory, time).tau - properTimeAt(trajectory, start).tau
+  : Math.max(0, time - start) * GEODESIC_TIME_SCALE;
+
+// Radial and azimuthal periods in coordinate time (M): measured between periapsis passages for a
+// bound orbit, and from the mean rate of φ for a circular one, which has no radial period
+const orbitPeriods = ({ samples }, classification, orbit) => {
+  if (orbit) return { radial: orbit.radialPeriod, azimuthal: orbit.azimuthalPeriod };
+  if (classification !== 'circular') return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const sweep = Math.abs(last.phi - first.phi);
+  return sweep > 0 ? { radial: null, azimuthal: 2 * Math.PI * (last.t - first.t) / sweep } : null;
+};
+
+// Everything the analysis panel shows for a particle at the given animation time. The local
+// observer quantities are evaluated no closer than 1.01 times the horizon radius.
+const particlePhysicsAt = (trajectory, time) => {
+  const { M, a, Q, E, L } = trajectory;
+  const rs = 2 * M;
+  const state = geodesicStateAt(trajectory, time);
+  const r = Math.max(state.r, (horizonRadii(M, a, Q)?.outer ?? 0) * 1.01);
+  const observables = localObservables(r, state.ur, M, E, L, a, Q);
+  
+  return {
+    state,
+    physics: {
+      radius: r,
+      timeDilation: observables.timeDilation,
+      coordinateVelocity: observables.coordinateVelocity,
+      properVelocity: observables.properVelocity,
+      localVelocity: observables.localVelocity,
+      radialVelocity: Math.abs(observables.radialVelocity),
+      tangentialVelocity: Math.abs(observables.tangentialVelocity),
+      angularVelocity: observables.angularVelocity,
+      frameDragging: observables.frameDragging,
+      orbitalPeriod: trajectory.periods?.azimuthal ?? 0,
+      radialPeriod: trajectory.periods?.radial ?? 0,
+      orbitClass: trajectory.classification,
+      redshift: observables.redshift,
+      escapeVelocity: escapeVelocity(Math.max(r, rs * 1.1), M, Q),
+      gravAcceleration: M / (r * r),
+      kineticEnergy: 0.5 * observables.localVelocity * observables.localVelocity,
+      potentialEnergy: -M / r,
+      energy: E,
+      angularMomentum: L,
+      properTime: state.tau,
+      coordinateTime: state.t
+    }
+  };
+};
+
+const RAY_COLORS = { captured: 0xff4444, orbiting: 0xffcc33, deflected: 0x66ccff };
+
+// Side length of the spacetime grid; the outer rim of the embedding surface sits at y = 0
+const GRID_SIZE = 40;
+
+// Flamm's paraboloid: exact embedding of the equatorial slice t = const, z = 2√(rs(r − rs))
+const flammHeight = (r, rs) => 2 * Math.sqrt(rs * Math.max(0, r - rs));
+
+// The same embedding for a charged hole, dz/dr = √(1/f − 1) with f = 1 − 2M/r + Q²/r², tabulated
+// out to rMax. It starts at the outer horizon, or around a naked singularity at r = Q²/2M where the
+// slope falls to zero. Integrating in u = √(r − r₀) keeps the infinite slope at a horizon finite.
+// An extremal hole (Q = M) has an infinitely long throat, which the table cuts off at its first step.
+// Past rMax, where Q²/r² no longer matters, the surface carries on as Flamm's paraboloid.
+const chargedEmbedding = (M, Q, rMax, steps = 400) => {
+  const innerRadius = horizonRadii(M, 0, Q)?.outer ?? Q * Q / (2 * M);
+  const slope = (r) => Math.sqrt(Math.max(0, 1 / (1 - 2 * M / r + Q * Q / (r * r)) - 1));
+  const du = Math.sqrt(rMax - innerRadius) / steps;
+  const heights = [0];
+  for (let i = 0; i < steps; i++) {
+    const u = (i + 0.5) * du;
+    heights.push(heights[i] + slope(innerRadius + u * u) * 2 * u * du);
+  }
+  const height = (r) => {
+    if (r > rMax) return heights[steps] + flammHeight(r, 2 * M) - flammHeight(rMax, 2 * M);
+    const x = Math.min(steps, Math.sqrt(Math.max(0, r - innerRadius)) / du);
+    const i = Math.min(steps - 1, Math.floor(x));
+    return heights[i] + (heights[i + 1] - heights[i]) * (x - i);
+  };
+  return { innerRadius, height };
+};
+
+const EMBEDDING_MODES = [
+  { key: 'artistic', label: '🎨 Artistic Sink', desc: 'Exaggerated well for presentations' },
+  { key: 'flamm', label: "📐 Flamm's Paraboloid", desc: 'True spatial geometry, ends at the horizon' }
+];
+
+const CAMERA_MODES = [
+  { key: 'orbit', label: '🛰️ Orbit Camera', desc: 'Drag to circle the hole' },
+  { key: 'follow', label: '🚀 Ride Along', desc: 'Travel with the selected particle' }
+];
+
+const CAMERA_LOOK_DIRECTIONS = [
+  { key: 'velocity', label: 'Ahead' },
+  { key: 'hole', label: 'At the hole' }
+];
+
+const UNIT_SYSTEMS = [
+  { key: 'geometric', label: 'Geometric', desc: 'G = c = 1: lengths and times in M' },
+  { key: 'si', label: 'SI', desc: 'Metres, seconds, kilograms' },
+  { key: 'astro', label: 'Astro', desc: 'Kilometres, seconds, solar masses' }
+];
+
+// Physical mass of the hole in solar masses, chosen on a log scale from a stellar-mass hole to the
+// largest known; independent of the scene's mass slider
+const SOLAR_MASS_RANGE = { min: 1, max: 1e10 };
+const SOLAR_MASS_PRESETS = [
+  { label: 'Stellar', value: 10 },
+  { label: 'Sgr A*', value: 4.3e6 },
+  { label: 'M87*', value: 6.5e9 }
+];
+
+// Fixed digits for everyday magnitudes, scientific notation beyond them
+const formatNumber = (value, digits = 4) => {
+  if (!Number.isFinite(value)) return '—';
+  const size = Math.abs(value);
+  return size === 0 || (size >= 1e-3 && size < 1e5) ? value.toPrecision(digits) : value.toExponential(digits - 1);
+};
+
+// Formatters for readouts in the chosen unit system. Scene lengths and times are measured in units in
+// which the hole has mass M (mass × gravity strength); physically it is a hole of massKg kilograms, so
+// one M of length is GM/c² and one M of time GM/c³.
+const unitFormatter = (system, M, massKg) => {
+  const scale = geometrizedUnits(massKg);
+  const geometric = system === 'geometric';
+  const kilo = system === 'astro' ? 1000 : 1;
+  const lengthUnit = system === 'astro' ? 'km' : 'm';
+  return {
+    length: (value, digits = 2) => geometric
+      ? `${(value / M).toFixed(digits)} M`
+      : `${formatNumber(value / M * scale.length / kilo)} ${lengthUnit}`,
+    time: (value, digits = 1) => geometric
+      ? `${(value / M).toFixed(digits)} M`
+      : `${formatNumber(value / M * scale.time)} s`,
+    speed: (value, digits = 3) => geometric
+      ? `${value.toFixed(digits)}c`
+      : `${formatNumber(value * SI.c / kilo)} ${lengthUnit}/s`,
+    // Angular velocities and other rates per unit of scene time
+    rate: (value) => geometric
+      ? `${formatNumber(value * M)} /M`
+      : `${formatNumber(value * M / scale.time)} rad/s`,
+    // Newtonian M/r², whose unit of scene length⁻¹ is c⁴/GM in SI
+    acceleration: (value) => geometric
+      ? `${formatNumber(value * M)} /M`
+      : `${formatNumber(value * M * SI.c * SI.c / scale.length / kilo)} ${lengthUnit}/s²`,
+    // Tidal acceleration per unit separation, in scene length⁻² or (c²/GM)² = s⁻² in SI
+    tidal: (value) => geometric
+      ? `${formatNumber(value * M * M)} /M²`
+      : `${formatNumber(value * M * M * (SI.c / scale.length) ** 2)} /s²`,
+    // Per unit rest mass, so dimensionless in units of c²
+    specificEnergy: (value, digits = 4) => geometric
+      ? value.toFixed(digits)
+      : `${formatNumber(value * SI.c * SI.c)} J/kg`,
+    specificAngularMomentum: (value, digits = 3) => geometric
+      ? `${(value / M).toFixed(digits)} M`
+      : `${formatNumber(value / M * scale.length * SI.c / (kilo * kilo))} ${lengthUnit}²/s`,
+    mass: () => system === 'si'
+      ? `${formatNumber(massKg)} kg`
+      : `${formatNumber(massKg / SOLAR_MASS, 3)} M☉`
+  };
+};
+
+const CENTRAL_OBJECTS = [
+  { key: 'schwarzschild', label: 'Schwarzschild', desc: 'Uncharged, non-rotating' },
+  { key: 'kerr', label: 'Kerr', desc: 'Rotating, spin a/M' },
+  { key: 'reissnerNordstrom', label: 'Reissner–Nordström', desc: 'Charged, charge Q/M' }
+];
+
+// Takes an object out of the long-lived scene and frees the GPU memory held by its geometries,
+// materials and textures
+const discardObject = (object) => {
+  object.parent?.remove(object);
+  object.traverse(({ geometry, material }) => {
+    geometry?.dispose();
+    [].concat(material ?? []).forEach(entry => {
+      [entry.map, ...Object.values(entry.uniforms ?? {}).map(({ value }) => value)]
+        .forEach(texture => texture?.isTexture && texture.dispose());
+      entry.dispose();
+    });
+  });
+};
+
+// Stand-in for a test particle drawn as one instance of a shared mesh. It carries the position, scale
+// and visibility the rest of the scene reads, and the color and opacity its instance is drawn with.
+const createParticleHandle = () => Object.assign(new THREE.Object3D(), {
+  color: new THREE.Color(0xffff00),
+  opacity: 0.95
+});
+
+// Instance matrix that collapses a hidden particle or captured grain to nothing
+const HIDDEN_INSTANCE = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Screen distance in pixels within which the pointer picks a particle
+const PICK_RADIUS = 10;
+
+// Index of the point nearest the pointer on screen, within PICK_RADIUS, or null. pointAt(i, target) writes
+// point i, in the scene's own frame, into target and returns false for points that cannot be picked.
+// Projecting every point is far cheaper than raycasting thousands of instances.
+const pickNearest = (count, pointAt, scene, camera, pointer, rect) => {
+  const point = new THREE.Vector3();
+  let nearest = null;
+  let nearestDistance = PICK_RADIUS;
+  for (let i = 0; i < count; i++) {
+    if (!pointAt(i, point)) continue;
+    point.applyMatrix4(scene.matrixWorld).project(camera);
+    if (Math.abs(point.z) > 1) continue;
+    const distance = Math.hypot(
+      (point.x + 1) / 2 * rect.width - pointer.x,
+      (1 - point.y) / 2 * rect.height - pointer.y
+    );
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+};
+
+// Opening view of the orbit camera, looking down on the hole from the given distance
+const defaultCameraPosition = (distance, target = new THREE.Vector3()) =>
+  target.set(distance, distance * 0.8, distance * 0.6);
+
+// Fixed-capacity ring buffer of recent trail points and the value (speed or redshift) at each
+const createTrailBuffer = (capacity) => ({
+  capacity,
+  head: 0,
+  count: 0,
+  positions: new Float32Array(capacity * 3),
+  values: new Float32Array(capacity)
+});
+
+const pushTrailPoint = (buffer, position, value) => {
+  buffer.positions.set([position.x, position.y, position.z], buffer.head * 3);
+  buffer.values[buffer.head] = value;
+  buffer.head = (buffer.head + 1) % buffer.capacity;
+  buffer.count = Math.min(buffer.count + 1, buffer.capacity);
+};
+
+// Storage slot of the i-th oldest point
+const trailSlot = (buffer, i) => (buffer.head - buffer.count + i + buffer.capacity) % buffer.capacity;
+
+const TRAIL_BASE_WIDTH = 0.12;
+// A jump longer than this between frames means the particle looped or was relaunched
+const TRAIL_BREAK_DISTANCE = 4;
+
+// Frames of r history kept per particle for the hover sparkline
+const RADIUS_HISTORY_LENGTH = 180;
+
+// Fraction of the way between the orbit and ride-along cameras covered per frame
+const CAMERA_BLEND_STEP = 0.025;
+// The ride-along camera sits just above its particle and aims along the path this far ahead
+const RIDE_ALONG_OFFSET = new THREE.Vector3(0, 0.3, 0);
+const RIDE_ALONG_LOOKAHEAD = 0.01;
+const ABERRATION_CUBE_SIZE = 512;
+
+// Full-screen pass that redraws the cube map around the camera as an observer moving at β along
+// motion sees it: light observed at cos θ' from the direction of motion left the scene at
+// cos θ = (cos θ' − β) / (1 − β cos θ'), which crowds the view forward
+const ABERRATION_VERTEX_SHADER = `
+varying vec2 vNdc;
+
+void main() {
+  vNdc = position.xy;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const ABERRATION_FRAGMENT_SHADER = `
+uniform samplerCube environment;
+uniform mat4 inverseProjection;
+uniform mat4 cameraWorld;
+uniform vec3 motion;
+uniform float beta;
+varying vec2 vNdc;
+
+void main() {
+  vec4 view = inverseProjection * vec4(vNdc, 1.0, 1.0);
+  vec3 observed = normalize(mat3(cameraWorld) * (view.xyz / view.w));
+  float cosObserved = dot(observed, motion);
+  float cosEmitted = (cosObserved - beta) / (1.0 - beta * cosObserved);
+  vec3 across = observed - cosObserved * motion;
+  float acrossLength = length(across);
+  vec3 emitted = acrossLength > 1e-6
+    ? cosEmitted * motion + sqrt(max(0.0, 1.0 - cosEmitted * cosEmitted)) * across / acrossLength
+    : sign(cosEmitted) * motion;
+  gl_FragColor = textureCube(environment, emitted);
+}
+`;
+
+// Floating clock labels sit just above their particle and are repainted every few frames
+const CLOCK_LABEL_OFFSET = new THREE.Vector3(0, 0.45, 0);
+const CLOCK_LABEL_REDRAW_FRAMES = 8;
+
+// Launch speed (fraction of c) per scene unit of mouse drag
+const LAUNCH_SPEED_PER_UNIT = 0.05;
+
+// Extended bodies: a disc of this radius (scene units) filled with a square lattice of members, EXTENDED_BODY_LATTICE
+// steps from the centre to the rim. Members get fewer steps than a point particle to keep launches quick.
+const EXTENDED_BODY_RADIUS = 0.6;
+const EXTENDED_BODY_LATTICE = 3;
+const EXTENDED_BODY_MAX_STEPS = 6000;
+
+// Initial conditions for the members of an extended body centred on a particle whose geodesic starts at
+// (r0, φ0) with dr/dτ = ur0. Every member starts with the centre's velocity as measured in its own local
+// frame, so the body begins undeformed and any later stretching is tidal.
+const extendedBodyConditions = ({ r0, phi0, ur0, E, L }, M, a = 0, Q = 0) => {
+  const { radialVelocity, tangentialVelocity } = localObservables(r0, ur0, M, E, L, a, Q);
+  const radial = new THREE.Vector2(Math.cos(phi0), Math.sin(phi0));
+  const tangential = new THREE.Vector2(-radial.y, radial.x);
+  const velocity = radial.clone().multiplyScalar(radialVelocity).addScaledVector(tangential, tangentialVelocity);
+  const members = [];
+  
+  for (let i = -EXTENDED_BODY_LATTICE; i <= EXTENDED_BODY_LATTICE; i++) {
+    for (let j = -EXTENDED_BODY_LATTICE; j <= EXTENDED_BODY_LATTICE; j++) {
+      if (Math.hypot(i, j) > EXTENDED_BODY_LATTICE) continue;
+      const step = EXTENDED_BODY_RADIUS / EXTENDED_BODY_LATTICE;
+      const position = radial.clone().multiplyScalar(r0 + i * step).addScaledVector(tangential, j * step);
+      const r = position.length();
+      const phi = Math.atan2(position.y, position.x);
+      members.push({
+        offset: i / EXTENDED_BODY_LATTICE,
+        ...initialConditionsFromVelocity({
+          M, a, Q, r, phi,
+          radialVelocity: (velocity.x * position.x + velocity.y * position.y) / r,
+          tangentialVelocity: (velocity.y * position.x - velocity.x * position.y) / r
+        })
+      });
+    }
+  }
+  return members;
+};
+
+// Dust clouds: grains spread evenly over an annulus (radii in M, the inner one no closer than the ISCO)
+// with speeds up to DUST_SPEED_SPREAD away from circular. The cloud's state is checkpointed every
+// DUST_SNAPSHOT_STEPS fixed steps for rewinding; beyond DUST_SNAPSHOT_LIMIT checkpoints every other one
+// is dropped and the spacing doubles.
+const DUST_RADII = { inner: 7, outer: 30 };
+const DUST_SPEED_SPREAD = 0.15;
+const DUST_SNAPSHOT_STEPS = 60;
+const DUST_SNAPSHOT_LIMIT = 64;
+
+// Seeded by the count, so a shared link rebuilds the same cloud
+const dustInitialConditions = (count, M, a = 0, Q = 0) => {
+  const random = seededRandom(count);
+  const spread = () => DUST_SPEED_SPREAD * (2 * random() - 1);
+  const inner = Math.max(DUST_RADII.inner * M, iscoRadius(M, a, Q));
+  const outer = DUST_RADII.outer * M;
+  return Array.from({ length: count }, () => {
+    const r = Math.sqrt(inner * inner + random() * (outer * outer - inner * inner));
+    const phi = 2 * Math.PI * random();
+    const { E, L } = circularOrbitInvariants(r, M, a, Q);
+    const { tangentialVelocity } = localObservables(r, 0, M, E, L, a, Q);
+    return initialConditionsFromVelocity({
+      M, a, Q, r, phi,
+      radialVelocity: tangentialVelocity * spread(),
+      tangentialVelocity: tangentialVelocity * (1 + spread())
+    });
+  });
+};
+
+// Copies of the parts of a dust cloud that change as it is stepped
+const DUST_STATE_KEYS = ['r', 'phi', 'ur', 'tau', 'captured'];
+const snapshotDust = (dust) => ({
+  t: dust.t,
+  ...Object.fromEntries(DUST_STATE_KEYS.map(key => [key, dust[key].slice()]))
+});
+const restoreDust = (dust, snapshot) => {
+  dust.t = snapshot.t;
+  DUST_STATE_KEYS.forEach(key => dust[key].set(snapshot[key]));
+};
+
+// Bodies whose tidal disruption radius is quoted: a 2 m person who survives about 10 g of stretching
+// from head to foot, and a Sun-like star, held together by its own surface gravity, across its radius
+const TIDAL_BODIES = [
+  { key: 'human', label: 'Human (2 m)', length: 2, maxAcceleration: 10 * 9.81 },
+  { key: 'star', label: 'Sun-like Star', length: 6.957e8, maxAcceleration: SI.G * SOLAR_MASS / 6.957e8 ** 2 }
+];
+
+// Default test particles: a mix of precessing, near-circular, plunging and unbound orbits
+const defaultInitialConditions = (index, count, M, a = 0, Q = 0) => {
+  const r0 = 20 + index * 2;
+  const phi0 = (index / count) * Math.PI * 2;
+  const family = index % 4;
+
+  if (family === 3) {
+    return { r0, phi0, E: 1.02, L: 5 * M, inward: true };
+  }
+  if (family === 2 || r0 < 7 * M) {
+    const L = 2 * M;
+    return { r0, phi0, E: Math.sqrt(effectivePotential(r0, M, L, 1, a, Q)), L, inward: true };
+  }
+  const periapsis = family === 1 ? 0.9 * r0 : Math.max(0.4 * r0, 7 * M);
+  return { r0, phi0, ...orbitFromTurningPoints(Math.min(periapsis, r0), r0, M, a, Q), inward: true };
+};
+
+// Effective potential plot for one particle. It redraws every frame so the r marker tracks the
+// particle without re-rendering the component.
+const EffectivePotentialChart = ({ M, a = 0, Q = 0, E, L, maxRadius, getRadius }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const rs = 2 * M;
+    // A naked singularity's plot starts where its repulsive core takes over
+    const rMin = horizonRadii(M, a, Q)?.outer ?? Q * Q / (2 * M);
+    const rMax = maxRadius;
+    const energy = (E * E - 1) / 2;
+    const gr = (r) => (effectivePotential(r, M, L, 1, a, Q) - 1) / 2;
+    const newtonian = (r) => newtonianPotential(r, M, L);
+    const turning = turningPoints(M, E, L, rMin, rMax, 400, a, Q);
+    // Retrograde orbits see the spin reversed
+    const orbitSpin = L < 0 ? -a : a;
+    
+    // Frame the well, the barrier and the energy level rather than the −½ at the horizon
+    const levels = [energy, 0, gr(rMax), newtonian(rMax)];
+    const circular = circularOrbitRadii(M, L, a, Q);
+    if (circular) levels.push(gr(circular.stable));
+    if (circular?.unstable) levels.push(gr(circular.unstable));
+    if (L > 0) levels.push(newtonian(L * L / M));
+    const span = Math.max(...levels) - Math.min(...levels) || 0.01;
+    const yMin = Math.min(...levels) - 0.15 * span;
+    const yMax = Math.max(...levels) + 0.15 * span;
+    
+    let frame;
+    const draw = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      
+      const pad = { left: 8, right: 8, top: 8, bottom: 18 };
+      const toX = (r) => pad.left + (r - rMin) / (rMax - rMin) * (width - pad.left - pad.right);
+      const toY = (v) => pad.top + (yMax - v) / (yMax - yMin) * (height - pad.top - pad.bottom);
+      
+      // r/rs ticks
+      ctx.font = '10px monospace';
+      ctx.fillStyle = '#9ca3af';
+      ctx.strokeStyle = '#374151';
+      ctx.lineWidth = 1;
+      const tickStep = Math.max(1, Math.ceil((rMax - rMin) / rs / 8));
+      for (let k = 1; k * rs <= rMax; k += tickStep) {
+        const x = toX(k * rs);
+        ctx.beginPath();
+        ctx.moveTo(x, toY(yMax));
+        ctx.lineTo(x, toY(yMin));
+        ctx.stroke();
+        ctx.fillText(`${k}`, x - 3, height - 4);
+      }
+      
+      // ISCO and photon sphere
+      [
+        { r: iscoRadius(M, orbitSpin, Q), label: 'ISCO', color: '#34d399' },
+        { r: photonSphereRadius(M, orbitSpin, Q), label: 'γ', color: '#fbbf24' }
+      ].filter(({ r }) => r !== null).forEach(({ r, label, color }) => {
+        ctx.strokeStyle = color;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(r), toY(yMax));
+        ctx.lineTo(toX(r), toY(yMin));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.fillText(label, toX(r) + 2, pad.top + 10);
+      });
+      
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(pad.left, pad.top, width - pad.left - pad.right, height - pad.top - pad.bottom);
+      ctx.clip();
+      
+      const plot = (fn, color, dash) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        for (let i = 0; i <= 200; i++) {
+          const r = rMin + (rMax - rMin) * i / 200;
+          const x = toX(r);
+          const y = toY(fn(r));
+          if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+      };
+      plot(newtonian, '#60a5fa', [5, 4]);
+      plot(gr, '#f472b6', []);
+      
+      // Energy level and turning points
+      ctx.strokeStyle = '#fde047';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(toX(rMin), toY(energy));
+      ctx.lineTo(toX(rMax), toY(energy));
+      ctx.stroke();
+      ctx.fillStyle = '#fde047';
+      turning.forEach((r) => {
+        ctx.beginPath();
+        ctx.arc(toX(r), toY(energy), 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      
+      // Current position
+      const r = getRadius();
+      if (Number.isFinite(r)) {
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(toX(r), toY(energy));
+        ctx.lineTo(toX(r), toY(gr(r)));
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(toX(r), toY(energy), 4.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+      
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+    
+    return () => cancelAnimationFrame(frame);
+  }, [M, a, Q, E, L, maxRadius, getRadius]);
+
+  return <canvas ref={canvasRef} className="w-full bg-gray-800 rounded" style={{ height: 220 }} />;
+};
+
+// Curated setups for the scenario picker. Each brings a complete display state, its own particles
+// (given by their initial conditions around the hole it sets up, with M = mass × gravity strength),
+// an orbit camera pose and a short explanation.
+const SCENARIO_BASE = {
+  centralObject: 'schwarzschild', particleCount: 0, dustCount: 0, launchedParticles: [],
+  showGrid: true, showHorizon: true, showTrajectories: true, showParticles: true, showVelocityTrails: true,
+  showPhotonSphere: false, embeddingMode: 'flamm', showLightRays: false, showLensedSky: false,
+  showAccretionDisk: false, showClocks: false, showClockLabels: false, showTimeSeries: false,
+  cameraMode: 'orbit', animationSpeed: 1, rotationSpeed: 0, isPlaying: true, selectedParticle: null
+};
+
+// Particles numbered from 1, starting at φ = 0 and heading inwards unless given otherwise
+const scenarioParticles = (particles) => particles.map((particle, k) => ({ id: k + 1, phi0: 0, inward: true, ...particle }));
+
+const SCENARIOS = [
+  {
+    key: 'isco',
+    label: '⭕ ISCO Orbit',
+    camera: { distance: 20, polar: 25 },
+    explanation: 'At r = 6M the stable and unstable circular orbits merge. The first particle circles there ' +
+      'with E = √(8/9) and L = √12 M; the second has 0.05% more energy and spirals in, because nothing ' +
+      'inside the innermost stable circular orbit can stay in orbit.',
+    state: () => {
+      const M = 1;
+      const circular = circularOrbitInvariants(6 * M, M);
+      return {
+        mass: 1, gravityStrength: 1, selectedParticle: 0, showPhotonSphere: true,
+        launchedParticles: scenarioParticles([
+          { r0: 6 * M, ...circular },
+          { r0: 6 * M, phi0: Math.PI, E: circular.E * 1.0005, L: circular.L }
+        ])
+      };
+    }
+  },
+  {
+    key: 'marginallyBound',
+    label: '🌀 Marginally Bound',
+    camera: { distance: 30, polar: 20 },
+    explanation: 'Both particles fall in from rest at infinity (E = 1). With L just above 4M the first ' +
+      'whirls around the unstable circular orbit at r = 4M before flying back out; the second, with L ' +
+      'just below 4M, cannot get past the barrier and is captured.',
+    state: () => {
+      const M = 1;
+      return {
+        mass: 1, gravityStrength: 1, selectedParticle: 0, animationSpeed: 2,
+        launchedParticles: scenarioParticles([
+          { r0: 40 * M, E: 1, L: 4.00005 * M },
+          { r0: 40 * M, phi0: Math.PI, E: 1, L: 3.99995 * M }
+        ])
+      };
+    }
+  },
+  {
+    key: 'photonSphere',
+    label: '💡 Photon Sphere',
+    camera: { distance: 25, polar: 10 },
+    explanation: 'Rays aimed within half a percent of the critical impact parameter b_c = 3√3 M wind ' +
+      'around the unstable photon orbit at r = 3M, the more times the closer they come to b_c, before ' +
+      'escaping or falling in.',
+    state: () => ({
+      mass: 1, gravityStrength: 1, showParticles: false, showTrajectories: false, showPhotonSphere: true,
+      showLightRays: true, lightSourceDistance: 35, lightSourceAngle: 0,
+      impactRange: { min: 0.995, max: 1.005 }, rayCount: 11
+    })
+  },
+  {
+    key: 'radialFall',
+    label: '⬇️ Radial Free-Fall',
+    camera: { distance: 25, polar: 60 },
+    explanation: 'Dropped from rest at r = 15M with no angular momentum. Clock A rides with the particle ' +
+      'and clock B stays far away: the fall takes a finite proper time, and the particle\'s clock stops ' +
+      'where it crosses the horizon.',
+    state: () => {
+      const M = 1;
+      const r0 = 15 * M;
+      return {
+        mass: 1, gravityStrength: 1, selectedParticle: 0, showClocks: true, showClockLabels: true,
+        showTimeSeries: true,
+        launchedParticles: scenarioParticles([{ r0, E: Math.sqrt(1 - 2 * M / r0), L: 0 }])
+      };
+    }
+  },
+  {
+    key: 'spaghettification',
+    label: '🍝 Spaghettification',
+    camera: { distance: 22, polar: 15 },
+    explanation: 'Two extended bodies, clouds of points each on its own geodesic. One is dropped from rest ' +
+      'at r = 15M, the other spirals in from there with L = 3.3M. Tides of 2M/r³ stretch them along the ' +
+      'radius while −M/r³ squeezes them sideways, red on the side facing the hole and blue on the far side.',
+    state: () => {
+      const M = 1;
+      const r0 = 15 * M;
+      const L = 3.3 * M;
+      return {
+        mass: 1, gravityStrength: 1, selectedParticle: 0, showTrajectories: false, animationSpeed: 0.5,
+        launchedParticles: scenarioParticles([
+          { r0, E: Math.sqrt(1 - 2 * M / r0), L: 0, extended: true },
+          { r0, phi0: Math.PI, E: Math.sqrt(effectivePotential(r0, M, L)), L, extended: true }
+        ])
+      };
+    }
+  },
+  {
+    key: 'mercury',
+    label: '☿ Mercury, Scaled Up',
+    camera: { distance: 50, polar: 5 },
+    explanation: "Mercury's orbit (e = 0.2056) shrunk to a semi-major axis of 30M. The real planet's " +
+      'perihelion advances 0.1″ per orbit (43″ a century); here 6πM/a(1 − e²) predicts 37.6° per orbit, ' +
+      'shown against the measured value in the analysis panel.',
+    state: () => {
+      const M = 1;
+      const a = 30 * M;
+      const e = 0.2056;
+      return {
+        mass: 1, gravityStrength: 1, selectedParticle: 0, animationSpeed: 3, showVelocityTrails: false,
+        launchedParticles: scenarioParticles([
+          { r0: a * (1 + e), ...orbitFromTurningPoints(a * (1 - e), a * (1 + e), M) }
+        ])
+      };
+    }
+  },
+  {
+    key: 's2',
+    label: '⭐ S2 around Sgr A*',
+    camera: { distance: 50, polar: 5 },
+    explanation: 'The star S2 (e = 0.885) passes within 120 AU, about 1400 rs, of Sgr A* every 16 years; ' +
+      "in 2020 the GRAVITY collaboration measured its 12′ per orbit Schwarzschild precession. Here S2's " +
+      'eccentricity is kept but its periapsis shrunk to 12M, where it precesses by about 60° per orbit ' +
+      '(48° from the first-order formula).',
+    state: () => {
+      const M = 0.15;
+      const e = 0.8847;
+      const periapsis = 12 * M;
+      const apoapsis = periapsis * (1 + e) / (1 - e);
+      return {
+        mass: 0.5, gravityStrength: 0.3, solarMasses: 4.3e6, selectedParticle: 0, animationSpeed: 3,
+        showVelocityTrails: false,
+        launchedParticles: scenarioParticles([
+          { r0: apoapsis, ...orbitFromTurningPoints(periapsis, apoapsis, M) }
+        ])
+      };
+    }
+  }
+];
+
+// Launched particles allowed at once, and how many of them may be extended bodies, each of which
+// integrates a lattice of member geodesics. Launches past the first limit are refused; bodies past the
+// second launch as plain particles.
+const MAX_LAUNCHED_PARTICLES = 20;
+const MAX_EXTENDED_BODIES = 4;
+const addLaunched = (launched, particle) => {
+  if (launched.length >= MAX_LAUNCHED_PARTICLES) return launched;
+  if (!particle.extended || launched.filter(({ extended }) => extended).length < MAX_EXTENDED_BODIES) {
+    return [...launched, particle];
+  }
+  const { extended, ...point } = particle;
+  return [...launched, point];
+};
+
+// Shareable configuration: URL hash fields and the rules for accepting them. Anything that fails
+// validation is dropped and falls back to the default.
+const SHARED_STATE_SCHEMA = {
+  mass: { type: 'number', min: 0.5, max: 4 },
+  gravityStrength: { type: 'number', min: 0.3, max: 2.5 },
+  centralObject: { type: 'enum', values: CENTRAL_OBJECTS.map(({ key }) => key) },
+  spin: { type: 'number', min: 0, max: 0.998 },
+  charge: { type: 'number', min: 0, max: 1.2 },
+  particleCount: { type: 'integer', min: 0, max: 20 },
+  dustCount: { type: 'integer', min: 0, max: 10000 },
+  launchedParticles: {
+    type: 'launched', max: MAX_LAUNCHED_PARTICLES, maxExtended: MAX_EXTENDED_BODIES,
+    maxRadius: 100, maxAngularMomentum: 1000
+  },
+  showGrid: { type: 'boolean' },
+  showHorizon: { type: 'boolean' },
+  showTrajectories: { type: 'boolean' },
+  showParticles: { type: 'boolean' },
+  showVelocityTrails: { type: 'boolean' },
+  trailLength: { type: 'integer', min: 10, max: 400 },
+  trailDecay: { type: 'number', min: 0.2, max: 5 },
+  trailColorBy: { type: 'enum', values: ['speed', 'redshift'] },
+  showPhotonSphere: { type: 'boolean' },
+  embeddingMode: { type: 'enum', values: EMBEDDING_MODES.map(({ key }) => key) },
+  showLightRays: { type: 'boolean' },
+  showLensedSky: { type: 'boolean' },
+  showAccretionDisk: { type: 'boolean' },
+  diskTemperature: { type: 'integer', min: 3000, max: 30000 },
+  showClocks: { type: 'boolean' },
+  showClockLabels: { type: 'boolean' },
+  showTimeSeries: { type: 'boolean' },
+  lightSourceDistance: { type: 'integer', min: 15, max: 60 },
+  lightSourceAngle: { type: 'integer', min: 0, max: 359 },
+  impactRange: { type: 'range', min: 0, max: 4 },
+  rayCount: { type: 'integer', min: 1, max: 41 },
+  animationSpeed: { type: 'number', min: 0.1, max: 3 },
+  rotationSpeed: { type: 'number', min: 0, max: 0.5 },
+  isPlaying: { type: 'boolean' },
+  cameraDistance: { type: 'integer', min: 15, max: 50 },
+  unitSystem: { type: 'enum', values: UNIT_SYSTEMS.map(({ key }) => key) },
+  solarMasses: { type: 'number', ...SOLAR_MASS_RANGE },
+  cameraMode: { type: 'enum', values: CAMERA_MODES.map(({ key }) => key) },
+  cameraLook: { type: 'enum', values: CAMERA_LOOK_DIRECTIONS.map(({ key }) => key) },
+  showAberration: { type: 'boolean' },
+  selectedParticle: { type: 'integer', min: 0, max: 1000, nullable: true },
+  scenario: { type: 'enum', values: SCENARIOS.map(({ key }) => key), nullable: true }
+};
+
+const SAVED_SCENES_KEY = 'schwarzschild.savedScenes';
+
+const validSharedValue = (rule, value) => {
+  if (value === null) return rule.nullable === true;
+  switch (rule.type) {
+    case 'number':
+      return Number.isFinite(value) && value >= rule.min && value <= rule.max;
+    case 'integer':
+      return Number.isInteger(value) && value >= rule.min && value <= rule.max;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'enum':
+      return rule.values.includes(value);
+    case 'range':
+      return value && [value.min, value.max].every(v => Number.isFinite(v) && v >= rule.min && v <= rule.max)
+        && value.min <= value.max;
+    case 'launched':
+      return Array.isArray(value) && value.length <= rule.max
+        && value.filter(p => p?.extended).length <= rule.maxExtended
+        && value.every(p => p
+        && ['r0', 'phi0', 'E', 'L'].every(key => Number.isFinite(p[key]))
+        && p.r0 > 0 && p.r0 <= rule.maxRadius && p.E > 0 && Math.abs(p.L) <= rule.maxAngularMomentum
+        && typeof p.inward === 'boolean' && Number.isInteger(p.id)
+        && (p.extended === undefined || typeof p.extended === 'boolean'));
+    default:
+      return false;
+  }
+};
+
+// Keeps only the known, valid fields of a plain state object
+const sanitizeSharedState = (state) => {
+  const clean = {};
+  if (!state || typeof state !== 'object') return clean;
+  Object.entries(SHARED_STATE_SCHEMA).forEach(([key, rule]) => {
+    if (key in state && validSharedValue(rule, state[key])) clean[key] = state[key];
+  });
+  return clean;
+};
+
+const serializeSharedState = (state) => {
+  const params = new URLSearchParams();
+  Object.entries(SHARED_STATE_SCHEMA).forEach(([key, rule]) => {
+    const value = state[key];
+    if (value === undefined) return;
+    if (value === null) params.set(key, 'none');
+    else if (rule.type === 'boolean') params.set(key, value ? '1' : '0');
+    else if (rule.type === 'range' || rule.type === 'launched') params.set(key, JSON.stringify(value));
+    else params.set(key, String(value));
+  });
+  return params.toString();
+};
+
+const parseSharedState = (hash) => {
+  const params = new URLSearchParams(hash);
+  const state = {};
+  Object.entries(SHARED_STATE_SCHEMA).forEach(([key, rule]) => {
+    const text = params.get(key);
+    if (text === null) return;
+    try {
+      if (text === 'none') state[key] = null;
+      else if (rule.type === 'boolean') state[key] = text === '1';
+      else if (rule.type === 'number' || rule.type === 'integer') state[key] = Number(text);
+      else if (rule.type === 'range' || rule.type === 'launched') state[key] = JSON.parse(text);
+      else state[key] = text;
+    } catch (error) {
+      console.warn(`Ignoring shared state field ${key}:`, error);
+    }
+  });
+  return sanitizeSharedState(state);
+};
+
+const loadSavedScenes = () => {
+  try {
+    const scenes = JSON.parse(localStorage.getItem(SAVED_SCENES_KEY) || '[]');
+    return Array.isArray(scenes) ? scenes.filter(scene => scene && typeof scene.name === 'string') : [];
+  } catch (error) {
+    console.warn('Could not read saved scenes:', error);
+    return [];
+  }
+};
+
+const storeSavedScenes = (scenes) => {
+  try {
+    localStorage.setItem(SAVED_SCENES_KEY, JSON.stringify(scenes));
+  } catch (error) {
+    console.warn('Could not store saved scenes:', error);
+  }
+};
+
+const DOWNLOAD_REVOKE_DELAY_MS = 1000;
+
+const downloadFile = (filename, contents, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoked a moment later: some browsers cancel a download whose URL goes away straight after the click
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+};
+
+// Recording of per-particle physics. Rows are sampled at exact multiples of the interval in
+// simulation time, independent of the frame rate.
+const RECORDING_COLUMNS = [
+  'time', 'particle', 'r', 'phi', 'properTime', 'coordinateTime', 'timeDilation', 'localVelocity',
+  'radialVelocity', 'tangentialVelocity', 'coordinateVelocity', 'properVelocity', 'angularVelocity',
+  'frameDragging', 'orbitalPeriod', 'radialPeriod', 'redshift', 'escapeVelocity', 'gravAcceleration', 'kineticEnergy',
+  'potentialEnergy', 'energy', 'angularMomentum'
+];
+const MAX_RECORDED_ROWS = 200000;
+// Positions in the equatorial plane; the drawn height of the embedding surface is not a coordinate
+// and is left out
+const TRAJECTORY_COLUMNS = ['particle', 'tau', 't', 'r', 'phi', 'ur', 'playbackTime', 'x', 'z'];
+
+// Exported fields are written in units of M rather than scene units: the power of M each one is
+// divided by (lengths and times 1, angular momenta 1, rates and accelerations −1)
+const EXPORT_M_POWERS = {
+  time: 1, launchTime: 1, tau: 1, t: 1, playbackTime: 1, properTime: 1, coordinateTime: 1,
+  orbitalPeriod: 1, radialPeriod: 1, r: 1, r0: 1, radius: 1, x: 1, z: 1,
+  angularMomentum: 1, angularVelocity: -1, frameDragging: -1, gravAcceleration: -1
+};
+const inUnitsOfM = (values, M) => Object.fromEntries(Object.entries(values).map(([key, value]) => [
+  key, typeof value === 'number' && key in EXPORT_M_POWERS ? value / M ** EXPORT_M_POWERS[key] : value
+]));
+
+// Run parameters and per-particle initial conditions, shared by every export
+const describeTrajectories = (trajectories) => trajectories.map((trajectory, index) => inUnitsOfM({
+  particle: index,
+  launchId: trajectory.launchId ?? null,
+  launchTime: trajectory.launchTime * GEODESIC_TIME_SCALE,
+  r0: trajectory.initial.r0,
+  phi0: trajectory.initial.phi0,
+  energy: trajectory.E,
+  angularMomentum: trajectory.L,
+  fate: trajectory.fate
+}, trajectory.M));
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV preceded by a "# key: value" comment block with the run parameters and one line per particle
+const toCsv = (parameters, particles, columns, rows) => [
+  ...Object.entries(parameters).map(([key, value]) => `# ${key}: ${value}`),
+  ...particles.map(({ particle, ...initial }) =>
+    `# particle ${particle}: ${Object.entries(initial).map(([key, value]) => `${key}=${value}`).join(', ')}`),
+  columns.join(','),
+  ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+].join('\n');
+
+// Output sizes for snapshots and frame sequences; null means the current viewport size
+const CAPTURE_RESOLUTIONS = [
+  { key: 'viewport', label: 'Viewport', width: null, height: null },
+  { key: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { key: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+  { key: '1440p', label: '2560 × 1440', width: 2560, height: 1440 },
+  { key: '4k', label: '3840 × 2160', width: 3840, height: 2160 }
+];
+
+// Longest stretch the CPU sky reference traces before handing the main thread back
+const SKY_REFERENCE_SLICE_MS = 50;
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas is empty'))), 'image/png');
+});
+
+// Best WebM codec the browser's MediaRecorder offers, or undefined to let it choose
+const webmMimeType = () => ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+  .find(type => MediaRecorder.isTypeSupported(type));
+
+// Accretion disk: rings of the radial profile, and the observed temperatures the color table spans
+const DISK_RINGS = 48;
+const BLACKBODY_RANGE = { min: 1000, max: 40000 };
+
+// sRGB color of a blackbody at temperature T in kelvin (Tanner Helland's fit, 1000–40000 K)
+const blackbodyColor = (temperature) => {
+  const t = Math.max(BLACKBODY_RANGE.min, Math.min(BLACKBODY_RANGE.max, temperature)) / 100;
+  const clamp = (value) => Math.max(0, Math.min(255, value)) / 255;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return [clamp(red), clamp(green), clamp(blue)];
+};
+
+// Radial profile of a thin disk from the ISCO to outerRadius: emitted temperature relative to the
+// hottest ring (T ∝ F^¼) and what the shader needs of each ring's orbit and local frame
+const accretionDiskProfile = (M, a, Q, outerRadius) => {
+  const inner = iscoRadius(M, a, Q);
+  const outer = Math.max(outerRadius, 3 * inner);
+  const radii = Array.from({ length: DISK_RINGS + 1 }, (_, j) => inner + (outer - inner) * j / DISK_RINGS);
+  const flux = radii.map((r) => diskFlux(r, M, a, Q));
+  const peakFlux = Math.max(...flux);
+  const rings = radii.map((r, j) => {
+    const { angularVelocity, ut } = circularOrbitMotion(r, M, a, Q);
+    const { lapse, circumference, frameDragging } = localFrame(r, M, a, Q);
+    return {
+      r,
+      temperature: Math.pow(flux[j] / peakFlux, 0.25),
+      orbit: [ut, angularVelocity, lapse / circumference, frameDragging]
+    };
+  });
+  return {
+    inner,
+    outer,
+    rings,
+    peakRadius: radii[flux.indexOf(peakFlux)],
+    // Binding energy radiated away by gas spiralling down to the ISCO
+    efficiency: 1 - circularOrbitMotion(inner, M, a, Q).E
+  };
+};
+
+const ACCRETION_DISK_VERTEX_SHADER = `
+  attribute float temperature;
+  attribute vec4 orbit;
+  uniform vec3 observer;
+  uniform float observerLapse;
+  varying float vTemperature;
+  varying float vShift;
+  void main() {
+    // Doppler and gravitational shift g = 1 / (α_obs u^t (1 − Ωλ)), as diskRedshiftFactor in physics.js,
+    // with the gas in the equatorial plane and light running straight to the camera
+    vec3 toObserver = normalize(observer - vec3(position.x, 0.0, position.z));
+    vec3 alongOrbit = normalize(vec3(-position.z, 0.0, position.x));
+    float n = dot(toObserver, alongOrbit);
+    float lambda = n / (orbit.z + orbit.w * n);
+    vShift = 1.0 / (observerLapse * orbit.x * (1.0 - orbit.y * lambda));
+    vTemperature = temperature;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const ACCRETION_DISK_FRAGMENT_SHADER = `
+  uniform sampler2D blackbody;
+  uniform float peakTemperature;
+  uniform float temperatureMin;
+  uniform float temperatureMax;
+  varying float vTemperature;
+  varying float vShift;
+  void main() {
+    float observed = peakTemperature * vTemperature * vShift;
+    float x = clamp(log(observed / temperatureMin) / log(temperatureMax / temperatureMin), 0.0, 1.0);
+    vec3 color = texture2D(blackbody, vec2(x, 0.5)).rgb;
+    // Bolometric intensity goes as (gT)⁴; compress it so the hot inner edge does not wash out
+    float intensity = pow(vTemperature * vShift, 4.0);
+    gl_FragColor = vec4(color * (1.0 - exp(-2.5 * intensity)), 1.0);
+  }
+`;
+
+// Lensed sky: entries in the Δφ(ψ) table, and the radius of the sphere it is drawn on
+const LENSING_TABLE_SIZE = 512;
+const SKY_RADIUS = 500;
+
+// Small deterministic generator (mulberry32), so the starfield is identical between renders
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Equirectangular starfield: stars spread evenly over the sky plus a band of faint ones along a
+// tilted great circle
+const drawStarfield = (width = 2048, height = 1024) => {
+  const random = seededRandom(7);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#020208';
+  ctx.fillRect(0, 0, width, height);
+  
+  const tints = ['#9bb0ff', '#cad7ff', '#f8f7ff', '#fff4ea', '#ffd2a1', '#ffcc6f'];
+  const star = (longitude, latitude, size, brightness) => {
+    const x = (longitude / (2 * Math.PI) + 0.5) * width;
+    const y = (0.5 - latitude / Math.PI) * height;
+    ctx.globalAlpha = brightness;
+    ctx.fillStyle = tints[Math.floor(random() * tints.length)];
+    ctx.beginPath();
+    // Widen stars near the poles, where the map stretches them horizontally
+    ctx.ellipse(x, y, size / Math.max(0.05, Math.cos(latitude)), size, 0, 0, Math.PI * 2);
+    ctx.fill();
+  };
+  
+  const tilt = 1.1;
+  for (let i = 0; i < 20000; i++) {
+    const longitude = (random() * 2 - 1) * Math.PI;
+    const spread = (random() + random() + random() - 1.5) * 0.12;
+    star(longitude, Math.asin(Math.sin(tilt) * Math.sin(longitude)) + spread, 0.6, 0.15 + 0.25 * random());
+  }
+  for (let i = 0; i < 6000; i++) {
+    const brightness = Math.pow(random(), 3);
+    star((random() * 2 - 1) * Math.PI, Math.asin(random() * 2 - 1), 0.5 + 1.6 * brightness, 0.3 + 0.7 * brightness);
+  }
+  ctx.globalAlpha = 1;
+  return canvas;
+};
+
+const imageToCanvas = (image) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return canvas;
+};
+
+// Sky direction as (u, v) on an equirectangular map, v = 1 at the top
+const equirectangularUv = ([x, y, z]) => [
+  Math.atan2(z, x) / (2 * Math.PI) + 0.5,
+  Math.asin(Math.max(-1, Math.min(1, y))) / Math.PI + 0.5
+];
+
+const LENSED_SKY_VERTEX_SHADER = `
+  varying vec3 vPosition;
+  void main() {
+    vPosition = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Same steps as lensedDirection in physics.js, with the Δφ(ψ) table in the red channel of a texture
+const LENSED_SKY_FRAGMENT_SHADER = `
+  uniform sampler2D sky;
+  uniform sampler2D sweepTable;
+  uniform float tableSize;
+  uniform float shadowAngle;
+  uniform vec3 observer;
+  varying vec3 vPosition;
+  const float PI = 3.141592653589793;
+  
+  float tabulatedSweep(float psi) {
+    float x = max(0.0, sqrt((psi - shadowAngle) / (PI - shadowAngle)) * tableSize - 1.0);
+    float k = min(tableSize - 2.0, floor(x));
+    float lower = texture2D(sweepTable, vec2((k + 0.5) / tableSize, 0.5)).r;
+    float upper = texture2D(sweepTable, vec2((k + 1.5) / tableSize, 0.5)).r;
+    return mix(lower, upper, min(1.0, x - k));
+  }
+  
+  void main() {
+    vec3 radial = normalize(observer);
+    vec3 view = normalize(vPosition - observer);
+    float outward = dot(view, radial);
+    float psi = acos(clamp(-outward, -1.0, 1.0));
+    if (psi <= shadowAngle) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+      return;
+    }
+    float sweep = tabulatedSweep(psi);
+    vec3 across = view - outward * radial;
+    float acrossLength = length(across);
+    vec3 direction = acrossLength < 1e-6 ? view : cos(sweep) * radial + sin(sweep) * across / acrossLength;
+    vec2 uv = vec2(atan(direction.z, direction.x) / (2.0 * PI) + 0.5, asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5);
+    gl_FragColor = vec4(texture2D(sky, uv).rgb, 1.0);
+  }
+`;
+
+// Follows the cursor over the hovered particle. It is positioned and filled in imperatively every
+// frame from the refs, so hovering never re-renders the scene component.
+const ParticleTooltip = ({ interactionRef, pointerRef, physicsDataRef, radiusHistoryRef, schwarzschildRadius, units }) => {
+  const tooltipRef = useRef(null);
+  const sparklineRef = useRef(null);
+
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      const tooltip = tooltipRef.current;
+      const index = interactionRef.current.hovered;
+      const data = index !== null ? physicsDataRef.current[index] : null;
+      
+      if (tooltip && !data) {
+        tooltip.style.display = 'none';
+      } else if (tooltip) {
+        tooltip.style.display = 'block';
+        const { x, y } = pointerRef.current;
+        const flip = x + 16 + tooltip.offsetWidth > window.innerWidth;
+        tooltip.style.left = `${flip ? x - 16 - tooltip.offsetWidth : x + 16}px`;
+        tooltip.style.top = `${y + 16}px`;
+        
+        const fields = {
+          title: `Particle #${index + 1}`,
+          radius: (data.radius / schwarzschildRadius).toFixed(3),
+          speed: units.speed(data.localVelocity),
+          dilation: data.timeDilation.toFixed(4),
+          redshift: data.redshift.toFixed(3),
+          orbit: data.orbitClass ?? '—'
+        };
+        Object.entries(fields).forEach(([field, text]) => {
+          const element = tooltip.querySelector(`[data-field="${field}"]`);
+          if (element && element.textContent !== text) element.textContent = text;
+        });
+        
+        // r/rs sparkline over the recent history
+        const canvas = sparklineRef.current;
+        const history = radiusHistoryRef.current[index] || [];
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (history.length > 1) {
+          const min = Math.min(...history);
+          const max = Math.max(...history);
+          const span = max - min || 1;
+          ctx.strokeStyle = '#67e8f9';
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          history.forEach((r, i) => {
+            const px = (i / (RADIUS_HISTORY_LENGTH - 1)) * canvas.width;
+            const py = 2 + (1 - (r - min) / span) * (canvas.height - 4);
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+          });
+          ctx.stroke();
+        }
+      }
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    
+    return () => cancelAnimationFrame(frame);
+  }, [interactionRef, pointerRef, physicsDataRef, radiusHistoryRef, schwarzschildRadius, units]);
+
+  return (
+    <div
+      ref={tooltipRef}
+      className="fixed pointer-events-none z-50 bg-gray-900 bg-opacity-95 border border-cyan-500 rounded-lg shadow-2xl p-2 text-white"
+      style={{ display: 'none' }}
+    >
+      <div data-field="title" className="text-cyan-300 font-bold text-xs mb-1" />
+      <div className="grid grid-cols-2 gap-x-3 text-xs font-mono">
+        <div className="text-gray-400">r/rs:</div><div data-field="radius" className="text-green-300" />
+        <div className="text-gray-400">Local Speed:</div><div data-field="speed" className="text-orange-300" />
+        <div className="text-gray-400">Time Dilation:</div><div data-field="dilation" className="text-cyan-300" />
+        <div className="text-gray-400">Redshift z:</div><div data-field="redshift" className="text-red-300" />
+        <div className="text-gray-400">Orbit:</div><div data-field="orbit" className="text-yellow-300" />
+      </div>
+      <canvas ref={sparklineRef} width={160} height={32} className="mt-1 bg-gray-800 rounded" />
+    </div>
+  );
+};
+
+const CLOCK_COLORS = { A: '#67e8f9', B: '#fdba74' };
+const CLOCK_CHART_SAMPLES = 120;
+
+// Two clocks compared side by side: a pair of particles, or a particle and a static observer at
+// infinity. Both start together at the later of the last clock reset and the particles' launches.
+const ClockComparison = ({ trajectoryDataRef, animationTimeRef, clockStartRef, particleTotal, formatTime }) => {
+  const [clockA, setClockA] = useState('0');
+  const [clockB, setClockB] = useState('infinity');
+  const readoutRef = useRef(null);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    // Null is the observer at infinity; undefined a particle that no longer exists
+    const trajectoryFor = (key) => key === 'infinity' ? null : trajectoryDataRef.current[Number(key)];
+
+    let frame;
+    const update = () => {
+      const readout = readoutRef.current;
+      const canvas = chartRef.current;
+      const trajectories = [trajectoryFor(clockA), trajectoryFor(clockB)];
+      const time = animationTimeRef.current;
+      const valid = trajectories.every(trajectory => trajectory !== undefined);
+      const start = valid
+        ? Math.max(clockStartRef.current, ...trajectories.map(trajectory => trajectory?.launchTime ?? 0))
+        : time;
+      const [tauA, tauB] = trajectories.map(trajectory => valid ? clockReading(trajectory, time, start) : 0);
+      const stopped = trajectories.map(trajectory => Boolean(trajectory && properTimeAt(trajectory, time).stopped));
+
+      if (readout) {
+        const fields = {
+          tauA: valid ? formatTime(tauA, 2) : '—',
+          tauB: valid ? formatTime(tauB, 2) : '—',
+          stateA: stopped[0] ? 'stopped at the horizon' : '',
+          stateB: stopped[1] ? 'stopped at the horizon' : '',
+          difference: valid ? formatTime(tauA - tauB, 2) : '—',
+          ratio: valid && tauB > 0 ? (tauA / tauB).toFixed(5) : '—'
+        };
+        Object.entries(fields).forEach(([field, text]) => {
+          const element = readout.querySelector(`[data-field="${field}"]`);
+          if (element && element.textContent !== text) element.textContent = text;
+        });
+      }
+
+      // Both readings against the time kept far away, recomputed from the geodesics every frame
+      if (canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        const elapsed = Math.max(0, time - start);
+        if (valid && elapsed > 0) {
+          const curves = trajectories.map(trajectory => Array.from({ length: CLOCK_CHART_SAMPLES + 1 }, (_, k) =>
+            clockReading(trajectory, start + elapsed * k / CLOCK_CHART_SAMPLES, start)
+          ));
+          const farTime = elapsed * GEODESIC_TIME_SCALE;
+          const yMax = Math.max(farTime, ...curves.flat()) || 1;
+          const toX = (k) => 4 + k / CLOCK_CHART_SAMPLES * (width - 8);
+          const toY = (tau) => height - 4 - tau / yMax * (height - 8);
+
+          ctx.strokeStyle = '#4b5563';
+          ctx.setLineDash([4, 3]);
+          ctx.beginPath();
+          ctx.moveTo(toX(0), toY(0));
+          ctx.lineTo(toX(CLOCK_CHART_SAMPLES), toY(farTime));
+          ctx.stroke();
+          ctx.setLineDash([]);
+
+          [CLOCK_COLORS.A, CLOCK_COLORS.B].forEach((color, i) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            curves[i].forEach((tau, k) => {
+              if (k === 0) ctx.moveTo(toX(k), toY(tau)); else ctx.lineTo(toX(k), toY(tau));
+            });
+            ctx.stroke();
+          });
+        }
+      }
+      frame = requestAnimationFrame(update);
+    };
+    update();
+
+    return () => cancelAnimationFrame(frame);
+  }, [trajectoryDataRef, animationTimeRef, clockStartRef, clockA, clockB, formatTime]);
+
+  const options = [
+    { key: 'infinity', label: 'Static observer at infinity' },
+    ...Array.from({ length: particleTotal }, (_, index) => ({ key: String(index), label: `Particle #${index + 1}` }))
+  ];
+
+  return (
+    <div className="space-y-3">
+      {[
+        { name: 'A', value: clockA, setter: setClockA },
+        { name: 'B', value: clockB, setter: setClockB }
+      ].map(({ name, value, setter }) => (
+        <div key={name}>
+          <label className="block text-sm font-medium mb-1" style={{ color: CLOCK_COLORS[name] }}>Clock {name}</label>
+          <select
+            value={value}
+            onChange={(e) => setter(e.target.value)}
+            className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm"
+          >
+            {options.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+      <div ref={readoutRef} className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs font-mono">
+        <div className="text-gray-400">τ<sub>A</sub>:</div>
+        <div><span data-field="tauA" style={{ color: CLOCK_COLORS.A }} /> <span data-field="stateA" className="text-red-300" /></div>
+        <div className="text-gray-400">τ<sub>B</sub>:</div>
+        <div><span data-field="tauB" style={{ color: CLOCK_COLORS.B }} /> <span data-field="stateB" className="text-red-300" /></div>
+        <div className="text-gray-400">τ<sub>A</sub> − τ<sub>B</sub>:</div><div data-field="difference" className="text-white" />
+        <div className="text-gray-400">τ<sub>A</sub> / τ<sub>B</sub>:</div><div data-field="ratio" className="text-white" />
+      </div>
+      <canvas ref={chartRef} width={300} height={110} className="w-full bg-gray-800 rounded" />
+      <div className="text-xs text-gray-400">
+        Elapsed time against the time kept at infinity (dashed). A replayed orbit keeps adding laps;
+        a particle that falls in stops aging where it crosses the horizon.
+      </div>
+    </div>
+  );
+};
+
+// Quantities the time-series panel can chart, read from a particle's state and physics snapshot, and
+// the unit formatter their readings go through (plain numbers without one)
+const TIME_SERIES = [
+  { key: 'radius', label: 'r', format: 'length', color: '#34d399', value: (state) => state.r },
+  { key: 'radiusOverRs', label: 'r/rs', color: '#a7f3d0', value: (state, physics, rs) => state.r / rs },
+  { key: 'localVelocity', label: 'Local speed', format: 'speed', color: '#fdba74', value: (state, physics) => physics.localVelocity },
+  { key: 'redshift', label: 'Redshift z', color: '#f87171', value: (state, physics) => physics.redshift },
+  { key: 'timeDilation', label: 'Time dilation', color: '#67e8f9', value: (state, physics) => physics.timeDilation },
+  { key: 'energy', label: 'Energy E', color: '#fde047', value: (state, physics) => physics.energy }
+];
+
+// Chart windows in coordinate time (M)
+const TIME_SERIES_WINDOWS = [200, 600, 2000];
+const TIME_SERIES_SAMPLES = 240;
+
+// Rolling charts of the selected particle's recent history. The history is resampled from its
+// geodesic every frame on a fixed grid of times, so it needs no storage and never shimmers.
+const TimeSeriesCharts = ({ trajectoryDataRef, animationTimeRef, particleIndex, schwarzschildRadius, units }) => {
+  const [shown, setShown] = useState(['radius', 'localVelocity', 'redshift']);
+  const [timeAxis, setTimeAxis] = useState('coordinate');
+  const [windowLength, setWindowLength] = useState(600);
+  const canvasRefs = useRef({});
+
+  useEffect(() => {
+    const series = TIME_SERIES.filter(({ key }) => shown.includes(key));
+    const step = animationTimeFromM(windowLength, schwarzschildRadius / 2) / TIME_SERIES_SAMPLES;
+
+    let frame;
+    const update = () => {
+      const trajectory = trajectoryDataRef.current[particleIndex];
+      const time = animationTimeRef.current;
+
+      if (trajectory && trajectory.samples.length > 1) {
+        const launchTime = trajectory.launchTime ?? 0;
+        const first = Math.max(Math.ceil(launchTime / step), Math.floor(time / step) - TIME_SERIES_SAMPLES);
+        const times = Array.from({ length: Math.max(0, Math.floor(time / step) - first + 1) }, (_, k) => (first + k) * step);
+        if (times[times.length - 1] !== time) times.push(time);
+
+        // Proper time runs on through every replay of the path, including replays of a plunge
+        const end = trajectory.samples[trajectory.samples.length - 1];
+        const rows = times.map(sampleTime => {
+          const { state, physics } = particlePhysicsAt(trajectory, sampleTime);
+          const elapsed = (sampleTime - launchTime) * GEODESIC_TIME_SCALE;
+          return {
+            x: timeAxis === 'proper'
+              ? (end.playbackTime > 0 ? Math.floor(elapsed / end.playbackTime) * end.tau : 0) + state.tau
+              : elapsed,
+            values: series.map(({ value }) => value(state, physics, schwarzschildRadius))
+          };
+        });
+        const xMin = rows[0].x;
+        const xMax = Math.max(rows[rows.length - 1].x, xMin + 1e-9);
+
+        series.forEach(({ key, label, format, color }, i) => {
+          const canvas = canvasRefs.current[key];
+          if (!canvas) return;
+          const ctx = canvas.getContext('2d');
+          const { width, height } = canvas;
+          ctx.clearRect(0, 0, width, height);
+
+          const values = rows.map(row => row.values[i]).filter(Number.isFinite);
+          if (values.length === 0) return;
+          const min = Math.min(...values);
+          const max = Math.max(...values);
+          const span = max - min || Math.abs(max) * 0.01 || 1;
+          const pad = { left: 4, right: 4, top: 16, bottom: 4 };
+          const toX = (x) => pad.left + (x - xMin) / (xMax - xMin) * (width - pad.left - pad.right);
+          const toY = (v) => pad.top + (1 - (v - min) / span) * (height - pad.top - pad.bottom);
+
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          let drawing = false;
+          rows.forEach(({ x, values: rowValues }) => {
+            const v = rowValues[i];
+            if (!Number.isFinite(v)) {
+              drawing = false;
+              return;
+            }
+            if (drawing) ctx.lineTo(toX(x), toY(v)); else ctx.moveTo(toX(x), toY(v));
+            drawing = true;
+          });
+          ctx.stroke();
+
+          const current = rows[rows.length - 1].values[i];
+          ctx.font = '10px monospace';
+          ctx.fillStyle = color;
+          const reading = (value, digits) => format ? units[format](value) : value.toPrecision(digits);
+          ctx.fillText(`${label} ${Number.isFinite(current) ? reading(current, 4) : '—'}`, pad.left, 11);
+          ctx.fillStyle = '#9ca3af';
+          const range = `${reading(min, 3)} – ${reading(max, 3)}`;
+          ctx.fillText(range, width - pad.right - ctx.measureText(range).width, 11);
+        });
+      }
+      frame = requestAnimationFrame(update);
+    };
+    update();
+
+    return () => cancelAnimationFrame(frame);
+  }, [trajectoryDataRef, animationTimeRef, particleIndex, schwarzschildRadius, units, shown, timeAxis, windowLength]);
+
+  const toggle = (key) => setShown(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-1">
+        {TIME_SERIES.map(({ key, label, color }) => (
+          <button
+            key={key}
+            onClick={() => toggle(key)}
+            className={`px-2 py-1 rounded text-xs ${
+              shown.includes(key) ? 'bg-gray-600 text-white' : 'bg-gray-800 hover:bg-gray-700 text-gray-400'
+            }`}
+            style={shown.includes(key) ? { boxShadow: `inset 0 -2px 0 ${color}` } : undefined}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2 text-xs">
+        <select
+          value={timeAxis}
+          onChange={(e) => setTimeAxis(e.target.value)}
+          className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded"
+        >
+          <option value="coordinate">x: coordinate time t</option>
+          <option value="proper">x: proper time τ</option>
+        </select>
+        <select
+          value={windowLength}
+          onChange={(e) => setWindowLength(Number(e.target.value))}
+          className="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded"
+        >
+          {TIME_SERIES_WINDOWS.map(length => (
+            <option key={length} value={length}>last {units.time(length * schwarzschildRadius / 2, 0)} of t</option>
+          ))}
+        </select>
+      </div>
+      {TIME_SERIES.filter(({ key }) => shown.includes(key)).map(({ key }) => (
+        <canvas
+          key={key}
+          ref={(canvas) => { canvasRefs.current[key] = canvas; }}
+          width={320}
+          height={70}
+          className="w-full bg-gray-800 rounded"
+        />
+      ))}
+      <div className="text-xs text-gray-400">
+        Each chart scales to its own range over the window. Bound orbits cycle between periapsis and
+        apoapsis; a plunge runs away as the particle nears the horizon.
+      </div>
+    </div>
+  );
+};
+
+// Fixed simulation timestep in animation time, taken SIMULATION_STEPS_PER_SECOND times per real second at
+// 1× speed. A slow frame takes several steps, up to MAX_STEPS_PER_FRAME, and carries any steps left over
+// into the next, so the clock keeps real time. A gap longer than STALL_THRESHOLD_MS is a stall, not a slow frame.
+const SIMULATION_STEP = 0.016;
+const SIMULATION_STEPS_PER_SECOND = 60;
+const MAX_STEPS_PER_FRAME = 8;
+const STALL_THRESHOLD_MS = 250;
+
+// Moments bookmarked on the timeline, at the animation time a particle first comes within 2rs, crosses
+// the horizon and passes periapsis on the first replay of its path
+const trajectoryEvents = (trajectory, particle) => {
+  const { samples, M, a, Q, launchTime, orbit } = trajectory;
+  const horizon = horizonRadii(M, a, Q)?.outer;
+  const atPlayback = (playbackTime) => launchTime + playbackTime / GEODESIC_TIME_SCALE;
+  const crossings = [
+    { radius: 4 * M, label: 'crossed 2rs' },
+    ...(horizon ? [{ radius: horizon, label: 'crossed the horizon' }] : [])
+  ].flatMap(({ radius, label }) => {
+    const k = samples.findIndex(({ r }) => r <= radius);
+    if (k <= 0) return [];
+    const before = samples[k - 1];
+    const after = samples[k];
+    const s = (before.r - radius) / (before.r - after.r);
+    return [{ time: atPlayback(before.playbackTime + s * (after.playbackTime - before.playbackTime)), label }];
+  });
+  const periapsis = orbit?.passages.length ? [{ time: atPlayback(orbit.passages[0].t), label: 'passed periapsis' }] : [];
+  return [...crossings, ...periapsis].map(({ time, label }) => ({ time, particle, label: `Particle #${particle + 1} ${label}` }));
+};
+
+// Transport controls and a scrub bar over the time simulated so far, with bookmarks for the events
+// reached. The handle and readout move every frame without re-rendering the component; formatTime
+// writes a span of scene time in the chosen units.
+const Timeline = ({ animationTimeRef, timelineRef, events, isPlaying, formatTime, onTogglePlay, onStep, onSeek }) => {
+  const [reached, setReached] = useState(0);
+  const trackRef = useRef(null);
+  const readoutRef = useRef(null);
+  const dragRef = useRef(false);
+
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      const time = animationTimeRef.current;
+      const end = Math.max(timelineRef.current.historyEnd, time, SIMULATION_STEP);
+      const track = trackRef.current;
+      if (track) {
+        track.querySelector('[data-field="progress"]').style.width = `${time / end * 100}%`;
+        track.querySelectorAll('[data-event]').forEach(marker => {
+          marker.style.left = `${events[Number(marker.dataset.event)].time / end * 100}%`;
+        });
+      }
+      const readout = readoutRef.current;
+      if (readout) {
+        const text = `t = ${formatTime(time * GEODESIC_TIME_SCALE)} of ${formatTime(end * GEODESIC_TIME_SCALE)}`;
+        if (readout.textContent !== text) readout.textContent = text;
+      }
+      const count = events.filter(event => event.time <= end).length;
+      setReached(prev => prev === count ? prev : count);
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [events, formatTime, animationTimeRef, timelineRef]);
+
+  // Pressing on the track seeks there, and dragging keeps seeking until release
+  useEffect(() => {
+    const seekTo = (event) => {
+      const rect = trackRef.current.getBoundingClientRect();
+      const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+      onSeek(fraction * Math.max(timelineRef.current.historyEnd, animationTimeRef.current));
+    };
+    const handleMouseDown = (event) => {
+      if (event.button !== 0) return;
+      dragRef.current = true;
+      seekTo(event);
+    };
+    const handleMouseMove = (event) => {
+      if (dragRef.current) seekTo(event);
+    };
+    const handleMouseUp = () => {
+      dragRef.current = false;
+    };
+    const track = trackRef.current;
+    track.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      track.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [onSeek, animationTimeRef, timelineRef]);
+
+  const reachedEvents = events.slice(0, reached);
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 transform -translate-x-1/2 z-40 bg-gray-900 bg-opacity-95 border border-gray-600 rounded-lg shadow-2xl px-3 py-2 text-white text-xs space-y-2"
+      style={{ width: 640, maxWidth: '90vw' }}
+    >
+      <div className="flex items-center gap-2">
+        <button onClick={() => onSeek(0)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded" title="Rewind to the start">⏮</button>
+        <button onClick={() => onStep(-1)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded" title="Step back">◀|</button>
+        <button
+          onClick={onTogglePlay}
+          className={`px-3 py-1 rounded ${isPlaying ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => onStep(1)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded" title="Step forward">|▶</button>
+        <span ref={readoutRef} className="font-mono text-gray-300 flex-1" />
+        <select
+          value=""
+          onChange={(e) => e.target.value !== '' && onSeek(reachedEvents[Number(e.target.value)].time)}
+          disabled={reachedEvents.length === 0}
+          className="px-2 py-1 bg-gray-700 border border-gray-600 rounded max-w-xs"
+        >
+          <option value="">🔖 Bookmarks ({reachedEvents.length})</option>
+          {reachedEvents.map(({ label }, index) => (
+            <option key={index} value={index}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div ref={trackRef} className="relative h-4 bg-gray-700 rounded cursor-pointer">
+        <div data-field="progress" className="absolute inset-y-0 left-0 bg-blue-600 rounded pointer-events-none" style={{ width: 0 }} />
+        {reachedEvents.map(({ label }, index) => (
+          <div
+            key={index}
+            data-event={index}
+            className="absolute inset-y-0 w-1 -ml-0.5 bg-yellow-300"
+            title={label}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
 
 // Draggable Panel Component
 const DraggablePanel = ({ title, children, initialPosition = { x: 20, y: 20 }, initialSize = { width: 300, height: 400 }, collapsible = true, className = "" }) => {
@@ -120,73 +1774,567 @@ const GravitationalSink = () => {
   const frameRef = useRef(null);
   const animationIdRef = useRef(null);
   
+  // Configuration shared through the URL hash, read once on load
+  const [restoredState] = useState(() => parseSharedState(window.location.hash.slice(1)));
+  
   // Core physics parameters
-  const [mass, setMass] = useState(2.0);
-  const [gravityStrength, setGravityStrength] = useState(1.2);
-  const [particleCount, setParticleCount] = useState(12);
+  const [mass, setMass] = useState(restoredState.mass ?? 2.0);
+  const [gravityStrength, setGravityStrength] = useState(restoredState.gravityStrength ?? 1.2);
+  // Links shared before the selector existed carry only a spin
+  const [centralObject, setCentralObject] = useState(
+    restoredState.centralObject ?? (restoredState.spin > 0 ? 'kerr' : 'schwarzschild')
+  );
+  // Kerr spin a/M and Reissner–Nordström charge Q/M, each used only by its own central object
+  const [spin, setSpin] = useState(restoredState.spin ?? 0);
+  const [charge, setCharge] = useState(restoredState.charge ?? 0.6);
+  const [particleCount, setParticleCount] = useState(restoredState.particleCount ?? 12);
+  const [dustCount, setDustCount] = useState(restoredState.dustCount ?? 0);
+  const [launchedParticles, setLaunchedParticles] = useState(restoredState.launchedParticles ?? []);
+  const [launchMode, setLaunchMode] = useState(false);
+  const [launchExtended, setLaunchExtended] = useState(false);
   
   // Display options
-  const [showGrid, setShowGrid] = useState(true);
-  const [showHorizon, setShowHorizon] = useState(true);
-  const [showTrajectories, setShowTrajectories] = useState(true);
-  const [showParticles, setShowParticles] = useState(true);
-  const [showVelocityTrails, setShowVelocityTrails] = useState(true);
+  const [showGrid, setShowGrid] = useState(restoredState.showGrid ?? true);
+  const [showHorizon, setShowHorizon] = useState(restoredState.showHorizon ?? true);
+  const [showTrajectories, setShowTrajectories] = useState(restoredState.showTrajectories ?? true);
+  const [showParticles, setShowParticles] = useState(restoredState.showParticles ?? true);
+  const [showVelocityTrails, setShowVelocityTrails] = useState(restoredState.showVelocityTrails ?? true);
+  const [trailLength, setTrailLength] = useState(restoredState.trailLength ?? 120);
+  const [trailDecay, setTrailDecay] = useState(restoredState.trailDecay ?? 1.5);
+  const [trailColorBy, setTrailColorBy] = useState(restoredState.trailColorBy ?? 'speed');
+  const [showPhotonSphere, setShowPhotonSphere] = useState(restoredState.showPhotonSphere ?? false);
+  const [embeddingMode, setEmbeddingMode] = useState(restoredState.embeddingMode ?? 'artistic');
+  
+  // Light rays
+  const [showLightRays, setShowLightRays] = useState(restoredState.showLightRays ?? false);
+  const [lightSourceDistance, setLightSourceDistance] = useState(restoredState.lightSourceDistance ?? 35);
+  const [lightSourceAngle, setLightSourceAngle] = useState(restoredState.lightSourceAngle ?? 0);
+  const [impactRange, setImpactRange] = useState(restoredState.impactRange ?? { min: 0.5, max: 2.5 });
+  const [rayCount, setRayCount] = useState(restoredState.rayCount ?? 17);
+  const [rayReadout, setRayReadout] = useState([]);
+  
+  // Lensed background sky. A loaded image is kept as an object URL and is not shared.
+  const [showLensedSky, setShowLensedSky] = useState(restoredState.showLensedSky ?? false);
+  const [skyImage, setSkyImage] = useState(null);
+  const [skyImageFailed, setSkyImageFailed] = useState(false);
+  const [skyReadout, setSkyReadout] = useState(null);
+  
+  // Accretion disk, with the emitted temperature of its hottest ring in kelvin
+  const [showAccretionDisk, setShowAccretionDisk] = useState(restoredState.showAccretionDisk ?? false);
+  const [diskTemperature, setDiskTemperature] = useState(restoredState.diskTemperature ?? 9000);
+  
+  // Proper-time clocks, compared in their own panel and optionally floated above each particle
+  const [showClocks, setShowClocks] = useState(restoredState.showClocks ?? false);
+  const [showClockLabels, setShowClockLabels] = useState(restoredState.showClockLabels ?? false);
+  const [showTimeSeries, setShowTimeSeries] = useState(restoredState.showTimeSeries ?? false);
   
   // Animation controls
-  const [animationSpeed, setAnimationSpeed] = useState(1.0);
-  const [rotationSpeed, setRotationSpeed] = useState(0.15);
-  const [isPlaying, setIsPlaying] = useState(true);
-  const [cameraDistance, setCameraDistance] = useState(25);
+  const [animationSpeed, setAnimationSpeed] = useState(restoredState.animationSpeed ?? 1.0);
+  const [rotationSpeed, setRotationSpeed] = useState(restoredState.rotationSpeed ?? 0.15);
+  const [isPlaying, setIsPlaying] = useState(restoredState.isPlaying ?? true);
+  // Bookmarked events in time order, for the timeline
+  const [timelineEvents, setTimelineEvents] = useState([]);
+  const [cameraDistance, setCameraDistance] = useState(restoredState.cameraDistance ?? 25);
+  // The ride-along camera follows the selected particle, looking ahead or back at the hole
+  const [cameraMode, setCameraMode] = useState(restoredState.cameraMode ?? 'orbit');
+  const [cameraLook, setCameraLook] = useState(restoredState.cameraLook ?? 'velocity');
+  const [showAberration, setShowAberration] = useState(restoredState.showAberration ?? false);
+  
+  // Readouts are shown in geometric, SI or astrophysical units
+  const [unitSystem, setUnitSystem] = useState(restoredState.unitSystem ?? 'geometric');
+  const [solarMasses, setSolarMasses] = useState(restoredState.solarMasses ?? 10);
   
   // Interaction
-  const [selectedParticle, setSelectedParticle] = useState(null);
-  const [hoveredParticle, setHoveredParticle] = useState(null);
+  const [selectedParticle, setSelectedParticle] = useState(restoredState.selectedParticle ?? null);
+  // The loaded scenario, whose explanation card stays up until dismissed
+  const [scenario, setScenario] = useState(restoredState.scenario ?? null);
   const [physicsUpdate, setPhysicsUpdate] = useState(0);
-  const [resetTrigger, setResetTrigger] = useState(0);
   
   const particlesRef = useRef([]);
   const trajectoryDataRef = useRef([]);
   const physicsDataRef = useRef([]);
   const velocityTrailsRef = useRef([]);
-  const raycasterRef = useRef(new THREE.Raycaster());
-  const mouseRef = useRef(new THREE.Vector2());
+  const lightRaysRef = useRef([]);
+  // Member clouds of the extended bodies, each with the trajectory of the particle at its centre
+  const extendedBodiesRef = useRef([]);
+  // Shared mesh with one instance per test particle
+  const particleInstancesRef = useRef(null);
+  // The dust cloud, its mesh, the fixed step it has reached and its checkpoints
+  const dustRef = useRef(null);
+  // The sky mesh, the canvas it samples and the Δφ table last built for the camera
+  const lensedSkyRef = useRef(null);
+  const starfieldRef = useRef(null);
+  const launchIdRef = useRef(Math.max(0, ...(restoredState.launchedParticles || []).map(({ id }) => id)));
+  // Read by the render loop, which outlives the render that created it. Hover lives only here so
+  // moving the mouse never re-renders the component.
+  const interactionRef = useRef({ selected: null, hovered: null });
+  const pointerRef = useRef({ x: 0, y: 0 });
+  const radiusHistoryRef = useRef([]);
+  const trailSettingsRef = useRef({ enabled: showVelocityTrails, length: trailLength, decay: trailDecay, colorBy: trailColorBy });
+  const clockSettingsRef = useRef({ labels: showClocks && showClockLabels, formatTime: null });
+  // Animation time at which every clock last read zero
+  const clockStartRef = useRef(0);
+  const cameraSettingsRef = useRef({ mode: cameraMode, look: cameraLook, aberration: showAberration });
+  const timelineSettingsRef = useRef({ playing: isPlaying, speed: animationSpeed, rotation: rotationSpeed });
+  // Simulated time owed to the fixed-step clock, when the last frame was drawn and the furthest time
+  // simulated, which bounds the scrub bar
+  const timelineRef = useRef({ accumulator: 0, lastFrame: null, historyEnd: 0 });
+  // Progress from the orbit camera (0) to the ride-along camera (1), the orbit pose to return to and
+  // the last ride-along pose, kept across scene rebuilds
+  const cameraRigRef = useRef({
+    blend: 0,
+    index: null,
+    orbitPosition: new THREE.Vector3(),
+    followPosition: new THREE.Vector3(),
+    followTarget: new THREE.Vector3(),
+    motion: new THREE.Vector3(0, 0, 1),
+    speed: 0,
+    beta: 0
+  });
   const mouseDownRef = useRef(false);
   const animationTimeRef = useRef(0);
   
   // Computed values
   const schwarzschildRadius = 2 * mass * gravityStrength;
+  const spinParameter = centralObject === 'kerr' ? spin * schwarzschildRadius / 2 : 0;
+  const chargeParameter = centralObject === 'reissnerNordstrom' ? charge * schwarzschildRadius / 2 : 0;
+  // Null for a naked singularity (Q > M)
+  const horizons = horizonRadii(schwarzschildRadius / 2, spinParameter, chargeParameter);
+  const horizonRadius = horizons?.outer ?? 0;
   const maxCurvatureDepth = schwarzschildRadius * gravityStrength * 4;
-  const escapeVelocityAtDistance = useCallback((r) => 
-    Math.sqrt(2 * mass * gravityStrength / Math.max(r, schwarzschildRadius * 1.1)), 
-    [mass, gravityStrength, schwarzschildRadius]
+  
+  // Height of the sink surface at radius r, shared by the grid and everything drawn on it
+  const embedding = useMemo(
+    () => chargeParameter > 0 ? chargedEmbedding(schwarzschildRadius / 2, chargeParameter, GRID_SIZE) : null,
+    [schwarzschildRadius, chargeParameter]
+  );
+  const sinkHeight = useCallback((r) => {
+    if (embeddingMode === 'flamm') {
+      if (embedding) return embedding.height(r) - embedding.height(GRID_SIZE / 2);
+      return flammHeight(r, schwarzschildRadius) - flammHeight(GRID_SIZE / 2, schwarzschildRadius);
+    }
+    // Charge weakens the pull at small r as if the mass inside were M − Q²/2r
+    const screening = Math.max(0, 1 - chargeParameter * chargeParameter / (schwarzschildRadius * Math.max(r, schwarzschildRadius * 0.5)));
+    if (r <= schwarzschildRadius * 0.5) return -maxCurvatureDepth * screening;
+    const curvatureFactor = screening * Math.pow(schwarzschildRadius * gravityStrength / Math.max(r, schwarzschildRadius * 0.5), 1.5);
+    return -curvatureFactor * maxCurvatureDepth * 0.3 + Math.sin(r * 0.5) * curvatureFactor * 0.5;
+  }, [embeddingMode, embedding, schwarzschildRadius, chargeParameter, gravityStrength, maxCurvatureDepth]);
+  // Flamm's paraboloid ends at the horizon throat; the artistic sink is drawn all the way in
+  const surfaceInnerRadius = embeddingMode === 'flamm' ? (embedding?.innerRadius ?? schwarzschildRadius) : 0;
+  const sinkDepth = -sinkHeight(surfaceInnerRadius);
+  
+  // Physically the hole has its own mass, set apart from the scene's; both only rescale the readouts
+  const physicalMass = solarMasses * SOLAR_MASS;
+  const units = useMemo(
+    () => unitFormatter(unitSystem, schwarzschildRadius / 2, physicalMass),
+    [unitSystem, schwarzschildRadius, physicalMass]
+  );
+  const physicalScale = (() => {
+    const M = schwarzschildRadius / 2;
+    const { length, time } = geometrizedUnits(physicalMass);
+    const isco = iscoRadius(M, spinParameter, chargeParameter);
+    const { angularVelocity } = circularOrbitMotion(isco, M, spinParameter, chargeParameter);
+    return {
+      horizonKm: horizons ? horizons.outer / M * length / 1000 : null,
+      iscoKm: isco / M * length / 1000,
+      iscoPeriodMs: 2 * Math.PI / angularVelocity / M * time * 1000,
+      hawkingTemperature: hawkingTemperature(physicalMass, M, spinParameter, chargeParameter),
+      // Where each body would be pulled apart, and whether that happens only inside the horizon
+      tidalDisruption: TIDAL_BODIES.map(({ key, label, length: size, maxAcceleration }) => {
+        const radius = tidalDisruptionRadius(length, size, maxAcceleration / (SI.c * SI.c));
+        return { key, label, radius: radius / length * M, km: radius / 1000, swallowed: horizons !== null && radius < horizons.outer / M * length };
+      })
+    };
+  })();
+  
+  const diskProfile = useMemo(
+    () => showAccretionDisk
+      ? accretionDiskProfile(schwarzschildRadius / 2, spinParameter, chargeParameter, GRID_SIZE)
+      : null,
+    [showAccretionDisk, schwarzschildRadius, spinParameter, chargeParameter]
   );
 
+  // Shareable configuration, mirrored into the URL hash. Launched particles are shared by their
+  // initial conditions and start over from the moment they are loaded.
+  const sharedState = {
+    mass, gravityStrength, centralObject, spin, charge, particleCount, dustCount,
+    launchedParticles: launchedParticles.map(({ launchTime, ...particle }) => particle),
+    showGrid, showHorizon, showTrajectories, showParticles, showVelocityTrails,
+    trailLength, trailDecay, trailColorBy, showPhotonSphere, embeddingMode,
+    showLightRays, lightSourceDistance, lightSourceAngle, impactRange, rayCount, showLensedSky,
+    showAccretionDisk, diskTemperature, showClocks, showClockLabels, showTimeSeries, animationSpeed, rotationSpeed,
+    isPlaying, cameraDistance, cameraMode, cameraLook, showAberration, unitSystem, solarMasses, selectedParticle,
+    scenario
+  };
+  const sharedHash = serializeSharedState(sharedState);
+  
+  const applySharedState = useCallback((state) => {
+    const setters = {
+      mass: setMass, gravityStrength: setGravityStrength, centralObject: setCentralObject, spin: setSpin,
+      charge: setCharge, particleCount: setParticleCount, dustCount: setDustCount,
+      launchedParticles: setLaunchedParticles, showGrid: setShowGrid, showHorizon: setShowHorizon,
+      showTrajectories: setShowTrajectories, showParticles: setShowParticles,
+      showVelocityTrails: setShowVelocityTrails, trailLength: setTrailLength, trailDecay: setTrailDecay,
+      trailColorBy: setTrailColorBy, showPhotonSphere: setShowPhotonSphere, embeddingMode: setEmbeddingMode,
+      showLightRays: setShowLightRays, lightSourceDistance: setLightSourceDistance,
+      lightSourceAngle: setLightSourceAngle, impactRange: setImpactRange, rayCount: setRayCount,
+      showLensedSky: setShowLensedSky, showAccretionDisk: setShowAccretionDisk,
+      diskTemperature: setDiskTemperature, showClocks: setShowClocks, showClockLabels: setShowClockLabels,
+      showTimeSeries: setShowTimeSeries, animationSpeed: setAnimationSpeed, rotationSpeed: setRotationSpeed, isPlaying: setIsPlaying,
+      cameraDistance: setCameraDistance, cameraMode: setCameraMode, cameraLook: setCameraLook,
+      showAberration: setShowAberration, unitSystem: setUnitSystem, solarMasses: setSolarMasses,
+      selectedParticle: setSelectedParticle,
+      scenario: setScenario
+    };
+    const clean = sanitizeSharedState(state);
+    if (clean.launchedParticles) {
+      clean.launchedParticles = clean.launchedParticles.map(particle => ({ ...particle, launchTime: animationTimeRef.current }));
+      launchIdRef.current = Math.max(launchIdRef.current, ...clean.launchedParticles.map(({ id }) => id));
+    }
+    Object.entries(clean).forEach(([key, value]) => setters[key](value));
+  }, []);
+  
+  // Loads a curated scenario over a clean base state, with its clocks zeroed and the camera placed
+  const loadScenario = (key) => {
+    const { camera, state } = SCENARIOS.find(entry => entry.key === key);
+    applySharedState({ ...SCENARIO_BASE, ...state(), cameraDistance: camera.distance, scenario: key });
+    clockStartRef.current = animationTimeRef.current;
+    
+    // Away on a ride-along, the pose is the one the camera returns to
+    const rig = cameraRigRef.current;
+    const orbitPosition = rig.blend > 0 ? rig.orbitPosition : cameraRef.current?.position;
+    if (!orbitPosition) return;
+    orbitPosition.setFromSphericalCoords(camera.distance, camera.polar * Math.PI / 180, Math.PI / 4);
+    if (rig.blend === 0) cameraRef.current.lookAt(0, 0, 0);
+  };
+  
+  // Saved scenes
+  const [savedScenes, setSavedScenes] = useState(loadSavedScenes);
+  const [sceneName, setSceneName] = useState('');
+  const importInputRef = useRef(null);
+  
+  const updateSavedScenes = useCallback((update) => {
+    setSavedScenes(prev => {
+      const next = update(prev);
+      storeSavedScenes(next);
+      return next;
+    });
+  }, []);
+  
+  const saveScene = () => {
+    const name = sceneName.trim() || `Scene ${savedScenes.length + 1}`;
+    updateSavedScenes(prev => [
+      ...prev.filter(scene => scene.name !== name),
+      { name, savedAt: new Date().toISOString(), state: sharedState }
+    ]);
+    setSceneName('');
+  };
+  
+  const exportScenes = () => {
+    downloadFile('schwarzschild-scenes.json', JSON.stringify(savedScenes, null, 2), 'application/json');
+  };
+  
+  const importScenes = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    file.text().then((text) => {
+      const imported = JSON.parse(text);
+      const scenes = (Array.isArray(imported) ? imported : [imported])
+        .filter(scene => scene && typeof scene.name === 'string' && scene.state)
+        .map(({ name, savedAt, state }) => ({ name, savedAt: savedAt || new Date().toISOString(), state: sanitizeSharedState(state) }));
+      updateSavedScenes(prev => [
+        ...prev.filter(scene => !scenes.some(({ name }) => name === scene.name)),
+        ...scenes
+      ]);
+    }).catch((error) => {
+      console.warn('Scene import failed:', error);
+    });
+  };
+
+  // Physics recording
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordInterval, setRecordInterval] = useState(1);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const recordingRef = useRef({ active: false, interval: 1, nextTime: 0, rows: [], parameters: null });
+  
+  const runParameters = () => ({
+    mass,
+    gravityStrength,
+    M: 1,
+    rs: 2,
+    centralObject,
+    aOverM: spinParameter / (schwarzschildRadius / 2),
+    QOverM: chargeParameter / (schwarzschildRadius / 2),
+    // Size of M in the scene's own length and time units, which the exported values are converted from
+    sceneUnitsPerM: schwarzschildRadius / 2,
+    particleCount,
+    dustCount,
+    launchedParticles: launchedParticles.length,
+    animationSpeed,
+    timeScale: `${formatNumber(1 / animationTimeFromM(1, schwarzschildRadius / 2))} M per animation second`,
+    units: 'G = c = 1, lengths and times in M',
+    exportedAt: new Date().toISOString()
+  });
+  
+  const startRecording = () => {
+    // The interval is given in M and kept in animation time, like the clock it samples
+    const interval = animationTimeFromM(recordInterval, schwarzschildRadius / 2);
+    recordingRef.current = {
+      active: true,
+      interval,
+      nextTime: Math.ceil(animationTimeRef.current / interval) * interval,
+      rows: [],
+      parameters: { ...runParameters(), sampleInterval: recordInterval, startedAt: new Date().toISOString() }
+    };
+    setIsRecording(true);
+  };
+  
+  const stopRecording = () => {
+    recordingRef.current.active = false;
+    setIsRecording(false);
+  };
+  
+  const downloadRecording = () => {
+    const { parameters, rows: sceneRows } = recordingRef.current;
+    if (!parameters) return;
+    const rows = sceneRows.map(row => inUnitsOfM(row, parameters.sceneUnitsPerM));
+    const particles = describeTrajectories(trajectoryDataRef.current);
+    if (exportFormat === 'csv') {
+      downloadFile('schwarzschild-recording.csv', toCsv(parameters, particles, RECORDING_COLUMNS, rows), 'text/csv');
+    } else {
+      downloadFile('schwarzschild-recording.json', JSON.stringify({ parameters, particles, samples: rows }, null, 2), 'application/json');
+    }
+  };
+  
+  const exportTrajectories = () => {
+    const trajectories = trajectoryDataRef.current;
+    const parameters = runParameters();
+    const particles = describeTrajectories(trajectories);
+    if (exportFormat === 'csv') {
+      const rows = trajectories.flatMap((trajectory, particle) => trajectory.samples.map((sample, i) => {
+        const { x, z } = trajectory.points[i];
+        return inUnitsOfM({ particle, ...sample, x, z }, trajectory.M);
+      }));
+      downloadFile('schwarzschild-trajectories.csv', toCsv(parameters, particles, TRAJECTORY_COLUMNS, rows), 'text/csv');
+    } else {
+      const data = trajectories.map((trajectory, particle) => ({
+        ...particles[particle],
+        horizonCrossing: trajectory.horizonCrossing && inUnitsOfM(trajectory.horizonCrossing, trajectory.M),
+        samples: trajectory.samples.map(sample => inUnitsOfM(sample, trajectory.M)),
+        points: trajectory.points.map(({ x, z }) => [x / trajectory.M, z / trajectory.M])
+      }));
+      downloadFile('schwarzschild-trajectories.json', JSON.stringify({ parameters, particles: data }), 'application/json');
+    }
+  };
+
+  // Capture
+  const [captureResolution, setCaptureResolution] = useState('1080p');
+  const [videoFps, setVideoFps] = useState(30);
+  const [isVideoRecording, setIsVideoRecording] = useState(false);
+  const [frameCount, setFrameCount] = useState(120);
+  const [frameStep, setFrameStep] = useState(0.5);
+  const [frameFromStart, setFrameFromStart] = useState(true);
+  const [captureProgress, setCaptureProgress] = useState(null);
+  const mediaRecorderRef = useRef(null);
+  const advanceSceneRef = useRef(null);
+  const renderFrameRef = useRef(null);
+  const capturingRef = useRef(false);
+  
+  const captureSize = () => {
+    const { width, height } = CAPTURE_RESOLUTIONS.find(({ key }) => key === captureResolution);
+    return width
+      ? { width, height }
+      : { width: mountRef.current.clientWidth, height: mountRef.current.clientHeight };
+  };
+  
+  // Render one frame into a canvas of the given size, through the same path as the live view so the
+  // ride-along camera and aberration pass are captured too
+  const renderAtSize = (width, height) => {
+    const renderer = rendererRef.current;
+    const camera = cameraRef.current;
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderFrameRef.current();
+  };
+  
+  const restoreViewportSize = (renderer) => {
+    if (!mountRef.current || rendererRef.current !== renderer) return;
+    const { clientWidth, clientHeight } = mountRef.current;
+    cameraRef.current.aspect = clientWidth / clientHeight;
+    cameraRef.current.updateProjectionMatrix();
+    renderer.setSize(clientWidth, clientHeight);
+  };
+  
+  const takeSnapshot = () => {
+    const renderer = rendererRef.current;
+    if (!renderer || !sceneRef.current) return;
+    const { width, height } = captureSize();
+    
+    renderAtSize(width, height);
+    // toBlob copies the drawing buffer straight away, so the viewport can be restored before it resolves
+    const snapshot = canvasToBlob(renderer.domElement);
+    restoreViewportSize(renderer);
+    snapshot
+      .then(blob => downloadFile(`schwarzschild-${width}x${height}.png`, blob, 'image/png'))
+      .catch(error => console.warn('Snapshot failed:', error));
+  };
+  
+  const startVideoRecording = () => {
+    const canvas = rendererRef.current?.domElement;
+    if (!canvas || typeof MediaRecorder === 'undefined') return;
+    
+    const mimeType = webmMimeType();
+    const chunks = [];
+    try {
+      const recorder = new MediaRecorder(canvas.captureStream(videoFps), mimeType ? { mimeType } : undefined);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        mediaRecorderRef.current = null;
+        setIsVideoRecording(false);
+        if (chunks.length > 0) downloadFile('schwarzschild.webm', new Blob(chunks, { type: 'video/webm' }), 'video/webm');
+      };
+      recorder.start(1000);
+      mediaRecorderRef.current = recorder;
+      setIsVideoRecording(true);
+    } catch (error) {
+      console.warn('Video recording failed:', error);
+    }
+  };
+  
+  const stopVideoRecording = () => {
+    if (mediaRecorderRef.current?.state === 'recording') mediaRecorderRef.current.stop();
+  };
+  
+  // Steps the clock by a fixed dt per frame and renders each frame off the animation loop, so the
+  // sequence does not depend on how fast frames are produced. The frames go into a single WebM through
+  // a stream that only takes a frame when asked; handing them over at the video frame rate sets their
+  // timing in the file.
+  const renderFrameSequence = async () => {
+    const renderer = rendererRef.current;
+    const advanceScene = advanceSceneRef.current;
+    if (!renderer || !advanceScene || capturingRef.current || typeof MediaRecorder === 'undefined') return;
+    
+    const { width, height } = captureSize();
+    const dt = animationTimeFromM(frameStep, schwarzschildRadius / 2);
+    if (frameFromStart) {
+      velocityTrailsRef.current.forEach(trail => {
+        if (trail) Object.assign(trail.buffer, { head: 0, count: 0 });
+      });
+      radiusHistoryRef.current = [];
+    }
+    const startTime = frameFromStart ? 0 : animationTimeRef.current;
+    
+    capturingRef.current = true;
+    setCaptureProgress({ done: 0, total: frameCount });
+    renderAtSize(width, height);
+    const stream = renderer.domElement.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const chunks = [];
+    let recorder = null;
+    try {
+      const mimeType = webmMimeType();
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      recorder.start();
+      for (let frame = 0; frame < frameCount; frame++) {
+        if (!capturingRef.current || rendererRef.current !== renderer) break;
+        advanceScene(startTime + frame * dt);
+        renderAtSize(width, height);
+        track.requestFrame();
+        setCaptureProgress({ done: frame + 1, total: frameCount });
+        await new Promise(resolve => setTimeout(resolve, 1000 / videoFps));
+      }
+      recorder.stop();
+      await stopped;
+      if (chunks.length > 0) downloadFile('schwarzschild-frames.webm', new Blob(chunks, { type: 'video/webm' }), 'video/webm');
+    } catch (error) {
+      console.warn('Frame sequence capture failed:', error);
+      if (recorder?.state === 'recording') recorder.stop();
+    } finally {
+      track.stop();
+      capturingRef.current = false;
+      restoreViewportSize(renderer);
+      setCaptureProgress(null);
+    }
+  };
+
   // Reset function
   const resetSimulation = useCallback(() => {
+    recordingRef.current.active = false;
+    setIsRecording(false);
     setSelectedParticle(null);
-    setHoveredParticle(null);
+    interactionRef.current.hovered = null;
     setPhysicsUpdate(0);
     animationTimeRef.current = 0;
+    clockStartRef.current = 0;
+    Object.assign(timelineRef.current, { accumulator: 0, historyEnd: 0 });
+    if (dustRef.current) dustRef.current.start = 0;
     particlesRef.current = [];
     trajectoryDataRef.current = [];
     physicsDataRef.current = [];
     velocityTrailsRef.current = [];
-    setResetTrigger(prev => prev + 1);
+    radiusHistoryRef.current = [];
+    setLaunchedParticles([]);
+    // Trails are rebuilt lazily from the new particles
+    const trails = sceneRef.current?.getObjectByName('velocityTrails');
+    if (trails) discardObject(trails);
+  }, []);
+
+  // Moves the simulation to a time within the history simulated so far
+  const seekTimeline = useCallback((time) => {
+    const advanceScene = advanceSceneRef.current;
+    if (!advanceScene) return;
+    timelineRef.current.accumulator = 0;
+    advanceScene(Math.min(timelineRef.current.historyEnd, Math.max(0, time)));
+    setPhysicsUpdate(prev => prev + 1);
+  }, []);
+  
+  // One fixed step either way; stepping forward past the end of the history extends it
+  const stepTimeline = useCallback((direction) => {
+    const advanceScene = advanceSceneRef.current;
+    if (!advanceScene) return;
+    timelineRef.current.accumulator = 0;
+    advanceScene(Math.max(0, animationTimeRef.current + direction * SIMULATION_STEP));
+    setPhysicsUpdate(prev => prev + 1);
+  }, []);
+
+  // Zero every clock at the current moment
+  const resetClocks = useCallback(() => {
+    clockStartRef.current = animationTimeRef.current;
+  }, []);
+
+  // Relaunch a particle's initial conditions as a new particle starting now
+  const cloneParticle = useCallback((index) => {
+    const trajectory = trajectoryDataRef.current[index];
+    if (!trajectory) return;
+    setLaunchedParticles(prev => addLaunched(
+      prev,
+      { ...trajectory.initial, id: ++launchIdRef.current, launchTime: animationTimeRef.current }
+    ));
   }, []);
 
-  // Main scene setup
+  const deleteParticle = useCallback((index) => {
+    const launchId = trajectoryDataRef.current[index]?.launchId;
+    if (launchId === null || launchId === undefined) return;
+    setSelectedParticle(null);
+    interactionRef.current.hovered = null;
+    setLaunchedParticles(prev => prev.filter(({ id }) => id !== launchId));
+  }, []);
+
+  // Main scene setup. The renderer, camera, scene and render loop are created once and live as long as
+  // the component; the effects below add, update and discard the objects that depend on parameters,
+  // and the loop reads everything else from refs.
   useEffect(() => {
     if (!mountRef.current) return;
 
-    // Cleanup previous scene
-    if (animationIdRef.current) {
-      cancelAnimationFrame(animationIdRef.current);
-    }
-    
-    if (mountRef.current.firstChild) {
-      mountRef.current.removeChild(mountRef.current.firstChild);
-    }
-
     // Scene setup
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0x050510);
@@ -198,7 +2346,7 @@ const GravitationalSink = () => {
       0.1, 
       1000
     );
-    camera.position.set(cameraDistance, cameraDistance * 0.8, cameraDistance * 0.6);
+    defaultCameraPosition(cameraDistance, camera.position);
     camera.lookAt(0, 0, 0);
     
     const renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -213,6 +2361,29 @@ const GravitationalSink = () => {
     rendererRef.current = renderer;
     cameraRef.current = camera;
 
+    // Aberration pass for the ride-along camera: the scene around the camera goes into a cube map,
+    // which a full-screen quad redraws as the moving observer sees it
+    const cubeTarget = new THREE.WebGLCubeRenderTarget(ABERRATION_CUBE_SIZE);
+    const cubeCamera = new THREE.CubeCamera(0.05, 1000, cubeTarget);
+    const aberrationMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        environment: { value: cubeTarget.texture },
+        inverseProjection: { value: new THREE.Matrix4() },
+        cameraWorld: { value: new THREE.Matrix4() },
+        motion: { value: new THREE.Vector3(0, 0, 1) },
+        beta: { value: 0 }
+      },
+      vertexShader: ABERRATION_VERTEX_SHADER,
+      fragmentShader: ABERRATION_FRAGMENT_SHADER,
+      depthTest: false,
+      depthWrite: false
+    });
+    const aberrationQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), aberrationMaterial);
+    aberrationQuad.frustumCulled = false;
+    const aberrationScene = new THREE.Scene();
+    aberrationScene.add(aberrationQuad);
+    const screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
     // Lighting
     const ambientLight = new THREE.AmbientLight(0x202040, 0.3);
     scene.add(ambientLight);
@@ -243,7 +2414,8 @@ const GravitationalSink = () => {
     };
     
     const handleMouseMove = (event) => {
-      if (!mouseDownRef.current) return;
+      // The ride-along camera is steered by its particle
+      if (!mouseDownRef.current || cameraRigRef.current.blend > 0) return;
       
       const deltaX = event.movementX || 0;
       const deltaY = event.movementY || 0;
@@ -262,49 +2434,68 @@ const GravitationalSink = () => {
       mouseDownRef.current = false;
     };
 
-    // Particle interaction - safer implementation
+    // Particle interaction: the nearest particle on screen, or failing that the nearest dust grain
+    const particlePoint = (index, target) => {
+      const particle = particlesRef.current[index];
+      if (!particle || !particle.visible) return false;
+      target.copy(particle.position);
+      return true;
+    };
+    const dustPoint = (index, target) => {
+      const { dust, sinkHeight: height } = dustRef.current;
+      if (dust.captured[index]) return false;
+      const r = dust.r[index];
+      target.set(r * Math.cos(dust.phi[index]), height(r), r * Math.sin(dust.phi[index]));
+      return true;
+    };
+    const pickAt = (event) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      const particle = pickNearest(particlesRef.current.length, particlePoint, scene, camera, pointer, rect);
+      const grain = particle === null && dustRef.current
+        ? pickNearest(dustRef.current.dust.count, dustPoint, scene, camera, pointer, rect)
+        : null;
+      return { particle, grain };
+    };
+    
     const handleParticleHover = (event) => {
-      if (mouseDownRef.current || !particlesRef.current || particlesRef.current.length === 0) return;
+      pointerRef.current = { x: event.clientX, y: event.clientY };
+      if (mouseDownRef.current) return;
       
       try {
-        const rect = renderer.domElement.getBoundingClientRect();
-        mouseRef.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouseRef.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        raycasterRef.current.setFromCamera(mouseRef.current, camera);
-        const intersects = raycasterRef.current.intersectObjects(particlesRef.current.filter(p => p && p.visible));
-        
-        if (intersects.length > 0) {
-          const particleIndex = particlesRef.current.findIndex(p => p === intersects[0].object);
-          if (particleIndex !== -1 && particleIndex !== hoveredParticle) {
-            setHoveredParticle(particleIndex);
-            renderer.domElement.style.cursor = 'pointer';
-          }
-        } else if (hoveredParticle !== null) {
-          setHoveredParticle(null);
-          renderer.domElement.style.cursor = 'default';
-        }
+        const { particle, grain } = pickAt(event);
+        if (dustRef.current) dustRef.current.hovered = grain;
+        if (particle !== interactionRef.current.hovered) interactionRef.current.hovered = particle;
+        renderer.domElement.style.cursor = particle !== null || grain !== null ? 'pointer' : 'default';
       } catch (error) {
         console.warn('Hover interaction error:', error);
-        setHoveredParticle(null);
+        interactionRef.current.hovered = null;
       }
     };
     
+    const handleParticleLeave = () => {
+      interactionRef.current.hovered = null;
+      if (dustRef.current) dustRef.current.hovered = null;
+    };
+    
+    // Clicking a grain hands it over to a tracked test particle launched from where it is now
     const handleParticleClick = (event) => {
-      if (mouseDownRef.current || !particlesRef.current || particlesRef.current.length === 0) return;
+      if (mouseDownRef.current) return;
       
       try {
-        const rect = renderer.domElement.getBoundingClientRect();
-        mouseRef.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouseRef.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        raycasterRef.current.setFromCamera(mouseRef.current, camera);
-        const intersects = raycasterRef.current.intersectObjects(particlesRef.current.filter(p => p && p.visible));
-        
-        if (intersects.length > 0) {
-          const particleIndex = particlesRef.current.findIndex(p => p === intersects[0].object);
-          if (particleIndex !== -1) {
-            setSelectedParticle(particleIndex === selectedParticle ? null : particleIndex);
+        const { particle, grain } = pickAt(event);
+        if (particle !== null) {
+          setSelectedParticle(prev => particle === prev ? null : particle);
+        } else if (grain !== null) {
+          const { dust } = dustRef.current;
+          const launched = {
+            r0: dust.r[grain], phi0: dust.phi[grain], E: dust.E[grain], L: dust.L[grain], inward: dust.ur[grain] < 0,
+            id: ++launchIdRef.current, launchTime: animationTimeRef.current
+          };
+          const launchedCount = trajectoryDataRef.current.filter(trajectory => trajectory && trajectory.launchId !== null).length;
+          if (launchedCount < MAX_LAUNCHED_PARTICLES) {
+            setLaunchedParticles(prev => addLaunched(prev, launched));
+            setSelectedParticle(trajectoryDataRef.current.length);
           }
         } else {
           setSelectedParticle(null);
@@ -317,6 +2508,7 @@ const GravitationalSink = () => {
     
     renderer.domElement.addEventListener('mousedown', handleMouseDown);
     renderer.domElement.addEventListener('mousemove', handleParticleHover);
+    renderer.domElement.addEventListener('mouseleave', handleParticleLeave);
     renderer.domElement.addEventListener('click', handleParticleClick);
     document.addEventListener('mousemove', handleMouseMove);
     document.addEventListener('mouseup', handleMouseUp);
@@ -330,73 +2522,43 @@ const GravitationalSink = () => {
         
         try {
           const trajectory = trajectoryDataRef.current[index];
-          const baseSpeed = 0.2;
+          const { samples, points } = trajectory;
           
-          const progress = ((time * baseSpeed * (0.8 + index * 0.1)) % (trajectory.length * 0.2)) / (trajectory.length * 0.2);
-          const pointIndex = Math.floor(progress * (trajectory.length - 1));
-          const nextPointIndex = Math.min(pointIndex + 1, trajectory.length - 1);
-          
-          if (trajectory[pointIndex] && trajectory[nextPointIndex]) {
-            const currentPos = trajectory[pointIndex];
-            const nextPos = trajectory[nextPointIndex];
-            particle.position.copy(currentPos);
-            
-            const r = Math.max(currentPos.length(), schwarzschildRadius * 1.01);
-            const rs = schwarzschildRadius;
-            
-            const gravitationalAcceleration = (mass * gravityStrength) / (r * r);
-            const localVelocity = Math.sqrt(gravitationalAcceleration * r) * (rs / r);
-            
-            const velocity = nextPos.clone().sub(currentPos).normalize().multiplyScalar(localVelocity);
-            const radialVelocity = currentPos.clone().normalize().dot(velocity);
-            const tangentialVelocity = velocity.clone().sub(currentPos.clone().normalize().multiplyScalar(radialVelocity));
-            const angularVelocity = tangentialVelocity.length() / r;
+          if (samples.length > 1) {
+            const state = geodesicStateAt(trajectory, time);
+            const pointIndex = state.index;
+            const nextPointIndex = Math.min(pointIndex + 1, samples.length - 1);
+            particle.position.lerpVectors(points[pointIndex], points[nextPointIndex], state.fraction);
             
-            const timeDilation = Math.sqrt(Math.max(0.001, 1 - rs/r));
-            const coordinateVelocity = localVelocity * (1 - rs/r);
-            const properVelocity = coordinateVelocity / timeDilation;
-            const redshift = (1/timeDilation) - 1;
-            
-            const orbitalPeriod = r > rs * 1.5 ? 2 * Math.PI / Math.max(angularVelocity, 0.001) : 0;
-            const escapeVel = escapeVelocityAtDistance(r);
+            const { physics } = particlePhysicsAt(trajectory, time);
+            const { radius: r, localVelocity, escapeVelocity: escapeVel } = physics;
+            const horizon = horizonRadii(trajectory.M, trajectory.a, trajectory.Q)?.outer ?? 0;
             
             // Store physics data safely
             if (!physicsDataRef.current[index]) {
               physicsDataRef.current[index] = {};
             }
             
-            Object.assign(physicsDataRef.current[index], {
-              radius: r,
-              timeDilation: timeDilation,
-              coordinateVelocity: coordinateVelocity,
-              properVelocity: properVelocity,
-              localVelocity: localVelocity,
-              radialVelocity: Math.abs(radialVelocity),
-              tangentialVelocity: tangentialVelocity.length(),
-              angularVelocity: angularVelocity,
-              orbitalPeriod: orbitalPeriod,
-              redshift: redshift,
-              escapeVelocity: escapeVel,
-              gravAcceleration: gravitationalAcceleration,
-              kineticEnergy: 0.5 * localVelocity * localVelocity,
-              potentialEnergy: -mass * gravityStrength / r,
-              particleIndex: index
-            });
+            Object.assign(physicsDataRef.current[index], physics, { particleIndex: index });
+            
+            const history = radiusHistoryRef.current[index] || (radiusHistoryRef.current[index] = []);
+            history.push(state.r);
+            if (history.length > RADIUS_HISTORY_LENGTH) history.shift();
             
             // Visual effects
             const velocityRatio = localVelocity / escapeVel;
-            const fadeDistance = schwarzschildRadius * 2.5;
+            const fadeDistance = horizon * 2.5;
             let opacity = 0.95;
             
             if (r < fadeDistance) {
-              opacity = Math.max(0.05, (r - schwarzschildRadius) / (fadeDistance - schwarzschildRadius));
+              opacity = Math.max(0.05, (r - horizon) / (fadeDistance - horizon));
             }
             
             // Particle scaling and highlighting
-            if (index === selectedParticle) {
+            if (index === interactionRef.current.selected) {
               particle.scale.set(3, 3, 3);
               opacity = 1.0;
-            } else if (index === hoveredParticle) {
+            } else if (index === interactionRef.current.hovered) {
               particle.scale.set(2, 2, 2);
               opacity = 1.0;
             } else {
@@ -404,44 +2566,443 @@ const GravitationalSink = () => {
               particle.scale.set(baseScale, baseScale, baseScale);
             }
             
-            particle.material.opacity = opacity;
+            particle.opacity = opacity;
             
             // Color coding by velocity
             const speedHue = Math.max(0, 0.6 - velocityRatio * 0.5);
             const speedSaturation = Math.min(1, velocityRatio * 2);
             const speedLightness = 0.4 + velocityRatio * 0.5;
             
-            if (r < rs * 1.3) {
-              particle.material.color.setHSL(0, 1, Math.max(0.2, speedLightness));
+            if (r < horizon * 1.3) {
+              particle.color.setHSL(0, 1, Math.max(0.2, speedLightness));
             } else {
-              particle.material.color.setHSL(speedHue, speedSaturation, speedLightness);
+              particle.color.setHSL(speedHue, speedSaturation, speedLightness);
             }
           }
-        } catch (error) {
-          console.warn('Particle update error:', error);
+        } catch (error) {
+          console.warn('Particle update error:', error);
+        }
+      });
+      
+      // Copy the handles into the shared mesh, fading each instance's color in place of its opacity
+      const instances = particleInstancesRef.current;
+      if (!instances) return;
+      particlesRef.current.forEach((particle, index) => {
+        if (particle.visible) {
+          particle.updateMatrix();
+          instances.setMatrixAt(index, particle.matrix);
+        } else {
+          instances.setMatrixAt(index, HIDDEN_INSTANCE);
+        }
+        instances.setColorAt(index, instanceColor.copy(particle.color).multiplyScalar(particle.opacity));
+      });
+      instances.instanceMatrix.needsUpdate = true;
+      instances.instanceColor.needsUpdate = true;
+    };
+    const instanceColor = new THREE.Color();
+
+    // Members of an extended body follow their own geodesics on the centre's playback clock, so the
+    // whole body replays together even though the members' paths end at different times
+    const updateExtendedBodies = (time) => {
+      const point = new THREE.Vector3();
+      extendedBodiesRef.current.forEach(({ trajectory, members, cloud }) => {
+        const { samples, launchTime } = trajectory;
+        const endTime = samples[samples.length - 1].playbackTime;
+        const playbackTime = endTime > 0 ? (Math.max(0, time - launchTime) * GEODESIC_TIME_SCALE) % endTime : 0;
+        const positions = cloud.geometry.attributes.position;
+        
+        members.forEach(({ samples: memberSamples, points }, member) => {
+          const { index, fraction } = sampleGeodesic(memberSamples, playbackTime);
+          point.lerpVectors(points[index], points[Math.min(index + 1, points.length - 1)], fraction);
+          positions.setXYZ(member, point.x, point.y, point.z);
+        });
+        positions.needsUpdate = true;
+      });
+    };
+
+    const updateLightRays = (time) => {
+      lightRaysRef.current.forEach(({ geodesic, points, photon }) => {
+        if (geodesic.samples.length < 2) return;
+        
+        const { index, fraction } = geodesicStateAt(geodesic, time);
+        photon.position.lerpVectors(points[index], points[Math.min(index + 1, points.length - 1)], fraction);
+      });
+    };
+
+    // Ribbons behind each particle, widest and most opaque at the particle end
+    const updateVelocityTrails = () => {
+      const { enabled, length, decay, colorBy } = trailSettingsRef.current;
+      if (!enabled) return;
+      
+      let trailGroup = scene.getObjectByName('velocityTrails');
+      if (!trailGroup || trailGroup.userData.capacity !== length) {
+        if (trailGroup) discardObject(trailGroup);
+        trailGroup = new THREE.Group();
+        trailGroup.name = 'velocityTrails';
+        trailGroup.userData.capacity = length;
+        scene.add(trailGroup);
+        velocityTrailsRef.current = [];
+      }
+      
+      const color = new THREE.Color();
+      
+      particlesRef.current.forEach((particle, index) => {
+        const data = physicsDataRef.current[index];
+        if (!particle || !data) return;
+        
+        let trail = velocityTrailsRef.current[index];
+        if (!trail || trail.particle !== particle) {
+          if (trail) discardObject(trail.mesh);
+          const capacity = trailGroup.userData.capacity;
+          const geometry = new THREE.BufferGeometry();
+          geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 6), 3));
+          geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 8), 4));
+          const indices = [];
+          for (let i = 0; i < capacity - 1; i++) {
+            const a = i * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+          }
+          geometry.setIndex(indices);
+          const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false
+          }));
+          mesh.frustumCulled = false;
+          trailGroup.add(mesh);
+          trail = { particle, mesh, buffer: createTrailBuffer(capacity) };
+          velocityTrailsRef.current[index] = trail;
+        }
+        
+        const { buffer, mesh } = trail;
+        if (buffer.count > 0) {
+          const last = trailSlot(buffer, buffer.count - 1) * 3;
+          const jump = Math.hypot(
+            particle.position.x - buffer.positions[last],
+            particle.position.y - buffer.positions[last + 1],
+            particle.position.z - buffer.positions[last + 2]
+          );
+          if (jump > TRAIL_BREAK_DISTANCE) buffer.count = 0;
+        }
+        const value = colorBy === 'redshift'
+          ? data.redshift / (1 + data.redshift)
+          : data.localVelocity;
+        pushTrailPoint(buffer, particle.position, Math.min(1, Math.max(0, value || 0)));
+        
+        const emphasis = index === interactionRef.current.selected ? 2.5
+          : index === interactionRef.current.hovered ? 1.8 : 1;
+        const positions = mesh.geometry.attributes.position.array;
+        const colors = mesh.geometry.attributes.color.array;
+        
+        for (let i = 0; i < buffer.count; i++) {
+          const slot = trailSlot(buffer, i) * 3;
+          const prev = trailSlot(buffer, Math.max(0, i - 1)) * 3;
+          const next = trailSlot(buffer, Math.min(buffer.count - 1, i + 1)) * 3;
+          
+          // Offset across the direction of travel within the surface plane
+          let dx = buffer.positions[next] - buffer.positions[prev];
+          let dz = buffer.positions[next + 2] - buffer.positions[prev + 2];
+          const length = Math.hypot(dx, dz) || 1;
+          dx /= length;
+          dz /= length;
+          
+          const age = buffer.count > 1 ? i / (buffer.count - 1) : 1;
+          const fade = Math.pow(age, decay);
+          const pointValue = buffer.values[trailSlot(buffer, i)];
+          const halfWidth = 0.5 * TRAIL_BASE_WIDTH * (0.4 + 1.6 * pointValue) * emphasis * fade;
+          
+          positions.set([
+            buffer.positions[slot] - dz * halfWidth, buffer.positions[slot + 1], buffer.positions[slot + 2] + dx * halfWidth,
+            buffer.positions[slot] + dz * halfWidth, buffer.positions[slot + 1], buffer.positions[slot + 2] - dx * halfWidth
+          ], i * 6);
+          
+          color.setHSL(0.6 * (1 - pointValue), 0.9, 0.55);
+          const alpha = fade * (emphasis > 1 ? 1 : 0.7);
+          colors.set([color.r, color.g, color.b, alpha, color.r, color.g, color.b, alpha], i * 8);
+        }
+        
+        mesh.geometry.setDrawRange(0, Math.max(0, buffer.count - 1) * 6);
+        mesh.geometry.attributes.position.needsUpdate = true;
+        mesh.geometry.attributes.color.needsUpdate = true;
+      });
+      
+      // Drop trails of particles that no longer exist
+      velocityTrailsRef.current.slice(particlesRef.current.length).forEach(trail => {
+        if (trail) discardObject(trail.mesh);
+      });
+      velocityTrailsRef.current.length = Math.min(velocityTrailsRef.current.length, particlesRef.current.length);
+    };
+
+    // Floating proper-time readouts above each particle, redrawn every few frames
+    const updateClockLabels = (time) => {
+      const { labels: enabled, formatTime } = clockSettingsRef.current;
+      if (!enabled || !formatTime) return;
+      
+      let labelGroup = scene.getObjectByName('clockLabels');
+      if (!labelGroup) {
+        labelGroup = new THREE.Group();
+        labelGroup.name = 'clockLabels';
+        labelGroup.userData = { labels: [], frame: 0 };
+        scene.add(labelGroup);
+      }
+      const { labels } = labelGroup.userData;
+      const redraw = labelGroup.userData.frame++ % CLOCK_LABEL_REDRAW_FRAMES === 0;
+      
+      particlesRef.current.forEach((particle, index) => {
+        const trajectory = trajectoryDataRef.current[index];
+        if (!particle || !trajectory) return;
+        
+        let label = labels[index];
+        if (!label || label.particle !== particle) {
+          if (label) discardObject(label.sprite);
+          const canvas = document.createElement('canvas');
+          canvas.width = 256;
+          canvas.height = 64;
+          const texture = new THREE.CanvasTexture(canvas);
+          const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+          sprite.scale.set(1.6, 0.4, 1);
+          labelGroup.add(sprite);
+          label = { particle, sprite, canvas, texture, text: null };
+          labels[index] = label;
+        }
+        
+        label.sprite.visible = particle.visible;
+        label.sprite.position.copy(particle.position).add(CLOCK_LABEL_OFFSET);
+        if (!redraw && label.text !== null) return;
+        
+        const { tau, stopped } = properTimeAt(trajectory, time);
+        const reading = tau - properTimeAt(trajectory, clockStartRef.current).tau;
+        const text = `#${index + 1} τ ${formatTime(reading)}`;
+        if (text === label.text) return;
+        
+        const ctx = label.canvas.getContext('2d');
+        ctx.clearRect(0, 0, label.canvas.width, label.canvas.height);
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.75)';
+        ctx.fillRect(0, 8, label.canvas.width, label.canvas.height - 16);
+        ctx.font = 'bold 30px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = stopped ? '#f87171' : '#e5e7eb';
+        ctx.fillText(text, label.canvas.width / 2, label.canvas.height / 2, label.canvas.width - 12);
+        label.texture.needsUpdate = true;
+        label.text = text;
+      });
+      
+      // Drop labels of particles that no longer exist
+      labels.slice(particlesRef.current.length).forEach(label => {
+        if (label) discardObject(label.sprite);
+      });
+      labels.length = Math.min(labels.length, particlesRef.current.length);
+    };
+
+    // Animation loop
+    // Sample every particle at each recording time that the clock has passed since the last frame
+    const updateRecording = (time) => {
+      const recording = recordingRef.current;
+      if (!recording.active) return;
+      
+      while (recording.nextTime <= time) {
+        const sampleTime = recording.nextTime;
+        trajectoryDataRef.current.forEach((trajectory, particle) => {
+          if (!trajectory || trajectory.samples.length < 2 || sampleTime < trajectory.launchTime) return;
+          const { state, physics } = particlePhysicsAt(trajectory, sampleTime);
+          recording.rows.push({ ...physics, time: sampleTime * GEODESIC_TIME_SCALE, particle, r: state.r, phi: state.phi });
+        });
+        recording.nextTime += recording.interval;
+        
+        if (recording.rows.length >= MAX_RECORDED_ROWS) {
+          console.warn(`Recording stopped after ${MAX_RECORDED_ROWS} rows`);
+          recording.active = false;
+          setIsRecording(false);
+          return;
+        }
+      }
+    };
+
+    // Steps the dust cloud on the simulation clock to the given time, starting over from its nearest
+    // checkpoint when that is closer, and redraws it whenever it has moved
+    const updateDust = (time) => {
+      const cloud = dustRef.current;
+      if (!cloud) return;
+      const { dust, mesh, snapshots } = cloud;
+      const target = Math.max(0, Math.floor((time - cloud.start) / SIMULATION_STEP + 1e-6));
+      
+      const checkpoint = Math.max(...[...snapshots.keys()].filter(step => step <= target));
+      if (target < cloud.step || checkpoint > cloud.step) {
+        restoreDust(dust, snapshots.get(checkpoint));
+        cloud.step = checkpoint;
+      }
+      while (cloud.step < target) {
+        advanceDust(dust, SIMULATION_STEP * GEODESIC_TIME_SCALE);
+        cloud.step++;
+        if (cloud.step % cloud.interval === 0 && !snapshots.has(cloud.step)) {
+          snapshots.set(cloud.step, snapshotDust(dust));
+          if (snapshots.size > DUST_SNAPSHOT_LIMIT) {
+            cloud.interval *= 2;
+            snapshots.forEach((_, step) => {
+              if (step % cloud.interval !== 0) snapshots.delete(step);
+            });
+          }
         }
-      });
+      }
+      
+      if (cloud.drawnStep === cloud.step && cloud.drawnHovered === cloud.hovered) return;
+      // Speeds and colors are written straight into typed arrays, with nothing allocated per grain
+      const { r, phi, captured } = dust;
+      const speeds = dustSpeeds(dust, cloud.speeds);
+      const colors = mesh.instanceColor.array;
+      for (let i = 0; i < dust.count; i++) {
+        if (captured[i]) {
+          mesh.setMatrixAt(i, HIDDEN_INSTANCE);
+          continue;
+        }
+        const scale = i === cloud.hovered ? 3 : 1;
+        dustMatrix.makeScale(scale, scale, scale)
+          .setPosition(r[i] * Math.cos(phi[i]), cloud.sinkHeight(r[i]), r[i] * Math.sin(phi[i]));
+        mesh.setMatrixAt(i, dustMatrix);
+        dustColor.setHSL(Math.max(0, 0.6 - speeds[i]), 0.8, 0.5 + 0.3 * speeds[i]).toArray(colors, i * 3);
+      }
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+      cloud.drawnStep = cloud.step;
+      cloud.drawnHovered = cloud.hovered;
     };
+    const dustMatrix = new THREE.Matrix4();
+    const dustColor = new THREE.Color();
+
+    // Moves every time-dependent object to the given animation time
+    const advanceScene = (time) => {
+      // Trails and radius histories only make sense played forwards
+      if (time < animationTimeRef.current) {
+        velocityTrailsRef.current.forEach(trail => {
+          if (trail) Object.assign(trail.buffer, { head: 0, count: 0 });
+        });
+        radiusHistoryRef.current = [];
+      }
+      animationTimeRef.current = time;
+      timelineRef.current.historyEnd = Math.max(timelineRef.current.historyEnd, time);
+      
+      if (sceneRef.current) {
+        sceneRef.current.rotation.y = time * timelineSettingsRef.current.rotation;
+      }
+      
+      updateParticles(time);
+      updateDust(time);
+      updateExtendedBodies(time);
+      updateLightRays(time);
+      updateVelocityTrails();
+      updateClockLabels(time);
+      updateRecording(time);
+    };
+    advanceSceneRef.current = advanceScene;
+
+    // Eases between the orbit camera and one riding on the selected particle. The orbit pose is kept
+    // while away, so leaving the ride puts the view back where it was.
+    const updateCamera = () => {
+      const rig = cameraRigRef.current;
+      const { mode, look, aberration } = cameraSettingsRef.current;
+      const index = interactionRef.current.selected;
+      const particle = index !== null ? particlesRef.current[index] : null;
+      const trajectory = index !== null ? trajectoryDataRef.current[index] : null;
+      const following = mode === 'follow' && Boolean(particle) && trajectory?.samples.length > 1;
+      
+      if (rig.blend === 0 && !following) {
+        rig.beta = 0;
+        return;
+      }
+      if (rig.blend === 0) rig.orbitPosition.copy(camera.position);
+      
+      // Without a particle to follow, the camera eases back out from the last ride-along pose
+      if (following) {
+        const time = animationTimeRef.current;
+        const here = trajectoryPointAt(trajectory, time);
+        const motion = trajectoryPointAt(trajectory, time + RIDE_ALONG_LOOKAHEAD).sub(here);
+        scene.updateMatrixWorld();
+        // A path that loops back to its start jumps, so the last heading is kept across the jump
+        if (motion.lengthSq() > 1e-12 && motion.length() < TRAIL_BREAK_DISTANCE) {
+          rig.motion.copy(motion).transformDirection(scene.matrixWorld);
+        }
+        rig.followPosition.copy(scene.localToWorld(here)).add(RIDE_ALONG_OFFSET);
+        if (look === 'hole') {
+          rig.followTarget.set(0, 0, 0);
+        } else {
+          rig.followTarget.copy(rig.followPosition).add(rig.motion);
+        }
+        rig.speed = physicsDataRef.current[index]?.localVelocity ?? 0;
+        rig.index = index;
+      }
+      
+      rig.blend = Math.min(1, Math.max(0, rig.blend + (following ? CAMERA_BLEND_STEP : -CAMERA_BLEND_STEP)));
+      const s = rig.blend * rig.blend * (3 - 2 * rig.blend);
+      camera.position.lerpVectors(rig.orbitPosition, rig.followPosition, s);
+      camera.lookAt(new THREE.Vector3().lerp(rig.followTarget, s));
+      rig.beta = aberration ? Math.min(0.99, rig.speed) * s : 0;
+      
+      // The rider's own clock label would fill the view
+      const label = scene.getObjectByName('clockLabels')?.userData.labels[rig.index];
+      const rider = particlesRef.current[rig.index];
+      if (label && rider) label.sprite.visible = rider.visible && rig.blend < 0.5;
+    };
+
+    // Renders the scene from the camera, through the aberration pass while riding fast enough
+    const renderFrame = () => {
+      updateCamera();
+      const { beta, motion } = cameraRigRef.current;
+      
+      if (beta > 0.001) {
+        camera.updateMatrixWorld();
+        cubeCamera.position.copy(camera.position);
+        cubeCamera.updateMatrixWorld();
+        cubeCamera.update(renderer, scene);
+        
+        const { uniforms } = aberrationMaterial;
+        uniforms.inverseProjection.value.copy(camera.projectionMatrixInverse);
+        uniforms.cameraWorld.value.copy(camera.matrixWorld);
+        uniforms.motion.value.copy(motion);
+        uniforms.beta.value = beta;
+        renderer.render(aberrationScene, screenCamera);
+      } else {
+        renderer.render(scene, camera);
+      }
+    };
+    renderFrameRef.current = renderFrame;
 
-    // Animation loop
     const animate = () => {
       try {
-        if (isPlaying) {
-          animationTimeRef.current += 0.016 * animationSpeed;
-          
-          if (sceneRef.current && rotationSpeed > 0) {
-            sceneRef.current.rotation.y = animationTimeRef.current * rotationSpeed;
+        // A frame sequence capture drives the scene itself
+        if (capturingRef.current) {
+          animationIdRef.current = requestAnimationFrame(animate);
+          return;
+        }
+        
+        // Fixed physics steps for the real time since the last frame, however long that frame took
+        const now = performance.now();
+        const timeline = timelineRef.current;
+        const { playing, speed } = timelineSettingsRef.current;
+        if (playing && timeline.lastFrame !== null) {
+          const elapsed = now - timeline.lastFrame;
+          // After a stall (a hidden tab, a breakpoint) the clock resumes rather than racing to catch up
+          if (elapsed > STALL_THRESHOLD_MS) {
+            timeline.accumulator = 0;
+          } else {
+            timeline.accumulator += elapsed / 1000 * SIMULATION_STEPS_PER_SECOND * SIMULATION_STEP * speed;
+          }
+          let steps = 0;
+          while (timeline.accumulator >= SIMULATION_STEP && steps < MAX_STEPS_PER_FRAME) {
+            advanceScene(animationTimeRef.current + SIMULATION_STEP);
+            timeline.accumulator -= SIMULATION_STEP;
+            steps++;
           }
           
-          updateParticles(animationTimeRef.current);
-          
-          if (animationTimeRef.current % 6 < 0.1) { // Update every ~6 frames
+          if (steps > 0 && animationTimeRef.current % 6 < 0.1) { // Update every ~6 frames
             setPhysicsUpdate(prev => prev + 1);
           }
         }
+        timeline.lastFrame = now;
         
         if (renderer && scene && camera) {
-          renderer.render(scene, camera);
+          renderFrame();
         }
         animationIdRef.current = requestAnimationFrame(animate);
       } catch (error) {
@@ -461,6 +3022,10 @@ const GravitationalSink = () => {
 
     return () => {
       window.removeEventListener('resize', handleResize);
+      // The canvas is going away, so finish any video of it
+      if (mediaRecorderRef.current?.state === 'recording') {
+        mediaRecorderRef.current.stop();
+      }
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current);
       }
@@ -468,6 +3033,7 @@ const GravitationalSink = () => {
       if (renderer && renderer.domElement) {
         renderer.domElement.removeEventListener('mousedown', handleMouseDown);
         renderer.domElement.removeEventListener('mousemove', handleParticleHover);
+        renderer.domElement.removeEventListener('mouseleave', handleParticleLeave);
         renderer.domElement.removeEventListener('click', handleParticleClick);
       }
       document.removeEventListener('mousemove', handleMouseMove);
@@ -476,11 +3042,49 @@ const GravitationalSink = () => {
       if (mountRef.current && mountRef.current.firstChild) {
         mountRef.current.removeChild(mountRef.current.firstChild);
       }
+      cubeTarget.dispose();
+      aberrationMaterial.dispose();
       if (renderer) {
         renderer.dispose();
       }
     };
-  }, [mass, gravityStrength, particleCount, cameraDistance, animationSpeed, rotationSpeed, isPlaying, resetTrigger, escapeVelocityAtDistance]);
+  }, []);
+
+  // Selected particle's geodesic, for the effective potential panel
+  const selectedTrajectory = selectedParticle !== null ? trajectoryDataRef.current[selectedParticle] : null;
+  const getSelectedRadius = useCallback(
+    () => physicsDataRef.current[selectedParticle]?.radius,
+    [selectedParticle]
+  );
+  const selectedPotentialRange = selectedTrajectory
+    ? Math.max(1.15 * Math.max(...selectedTrajectory.samples.map(({ r }) => r)), 16 * selectedTrajectory.M)
+    : 0;
+  const selectedTurningPoints = selectedTrajectory
+    ? turningPoints(
+      selectedTrajectory.M, selectedTrajectory.E, selectedTrajectory.L,
+      horizonRadii(selectedTrajectory.M, selectedTrajectory.a, selectedTrajectory.Q)?.outer ?? 0,
+      selectedPotentialRange, 400, selectedTrajectory.a, selectedTrajectory.Q
+    )
+    : [];
+  // Spin as seen by the selected orbit: retrograde orbits see it reversed
+  const selectedOrbitSpin = selectedTrajectory
+    ? (selectedTrajectory.L < 0 ? -selectedTrajectory.a : selectedTrajectory.a)
+    : 0;
+  // Null around a naked singularity charged beyond Q² = 9M²/8
+  const selectedPhotonRadius = selectedTrajectory
+    ? photonSphereRadius(selectedTrajectory.M, selectedOrbitSpin, selectedTrajectory.Q)
+    : null;
+  // Periapsis passages made so far on the current replay of a bound orbit, and the advance over the last one
+  const selectedOrbit = selectedTrajectory?.orbit ?? null;
+  const selectedPassages = selectedOrbit
+    ? selectedOrbit.passages.filter(({ t }) => t <= (physicsDataRef.current[selectedParticle]?.coordinateTime ?? 0)).length
+    : 0;
+  const selectedLastPrecession = selectedPassages >= 2 ? selectedOrbit.precessionPerOrbit[selectedPassages - 2] : null;
+  const toDegrees = (angle) => `${(angle * 180 / Math.PI).toFixed(3)}°`;
+  // Stretch and squeeze per unit length at the selected particle's current radius
+  const selectedTides = physicsDataRef.current[selectedParticle]?.radius
+    ? tidalAccelerations(physicsDataRef.current[selectedParticle].radius, schwarzschildRadius / 2)
+    : null;
 
   // Spacetime grid
   useEffect(() => {
@@ -488,7 +3092,7 @@ const GravitationalSink = () => {
 
     const existingGrid = sceneRef.current.getObjectByName('spacetimeGrid');
     if (existingGrid) {
-      sceneRef.current.remove(existingGrid);
+      discardObject(existingGrid);
     }
 
     if (!showGrid) return;
@@ -496,28 +3100,11 @@ const GravitationalSink = () => {
     const gridGroup = new THREE.Group();
     gridGroup.name = 'spacetimeGrid';
 
-    const gridSize = 40;
     const gridResolution = 60;
-    const maxDepth = maxCurvatureDepth;
-    
-    for (let i = 0; i <= gridResolution; i++) {
-      const points = [];
-      for (let j = 0; j <= gridResolution; j++) {
-        const x = (i - gridResolution/2) * gridSize / gridResolution;
-        const z = (j - gridResolution/2) * gridSize / gridResolution;
-        const r = Math.sqrt(x*x + z*z);
-        
-        let y = 0;
-        if (r > schwarzschildRadius * 0.5) {
-          const curvatureFactor = Math.pow(schwarzschildRadius * gravityStrength / Math.max(r, schwarzschildRadius * 0.5), 1.5);
-          y = -curvatureFactor * maxDepth * 0.3;
-          y += Math.sin(r * 0.5) * curvatureFactor * 0.5;
-        } else {
-          y = -maxDepth;
-        }
-        
-        points.push(new THREE.Vector3(x, y, z));
-      }
+    const maxDepth = -sinkHeight(surfaceInnerRadius);
+    
+    const addGridLine = (points) => {
+      if (points.length < 2) return;
       
       const geometry = new THREE.BufferGeometry().setFromPoints(points);
       const colors = [];
@@ -534,47 +3121,46 @@ const GravitationalSink = () => {
       });
       const line = new THREE.Line(geometry, material);
       gridGroup.add(line);
-    }
+    };
     
-    // Perpendicular lines
-    for (let i = 0; i <= gridResolution; i++) {
-      const points = [];
-      for (let j = 0; j <= gridResolution; j++) {
-        const x = (j - gridResolution/2) * gridSize / gridResolution;
-        const z = (i - gridResolution/2) * gridSize / gridResolution;
-        const r = Math.sqrt(x*x + z*z);
-        
-        let y = 0;
-        if (r > schwarzschildRadius * 0.5) {
-          const curvatureFactor = Math.pow(schwarzschildRadius * gravityStrength / Math.max(r, schwarzschildRadius * 0.5), 1.5);
-          y = -curvatureFactor * maxDepth * 0.3;
-          y += Math.sin(r * 0.5) * curvatureFactor * 0.5;
-        } else {
-          y = -maxDepth;
+    // Lines are cut where they enter the surface's inner edge, ending exactly on it
+    const surfacePoint = (x, z) => new THREE.Vector3(x, sinkHeight(Math.sqrt(x*x + z*z)), z);
+    const edgeCrossing = (outside, inside) => {
+      const dx = inside.x - outside.x;
+      const dz = inside.z - outside.z;
+      const a = dx*dx + dz*dz;
+      const b = 2 * (outside.x*dx + outside.z*dz);
+      const c = outside.x*outside.x + outside.z*outside.z - surfaceInnerRadius*surfaceInnerRadius;
+      const s = (-b - Math.sqrt(Math.max(0, b*b - 4*a*c))) / (2*a);
+      return surfacePoint(outside.x + s*dx, outside.z + s*dz);
+    };
+    
+    for (const perpendicular of [false, true]) {
+      for (let i = 0; i <= gridResolution; i++) {
+        let points = [];
+        let previous = null;
+        for (let j = 0; j <= gridResolution; j++) {
+          const u = (i - gridResolution/2) * GRID_SIZE / gridResolution;
+          const v = (j - gridResolution/2) * GRID_SIZE / gridResolution;
+          const current = perpendicular ? { x: v, z: u } : { x: u, z: v };
+          const inside = Math.sqrt(current.x*current.x + current.z*current.z) < surfaceInnerRadius;
+          
+          if (inside) {
+            if (previous && !previous.inside) points.push(edgeCrossing(previous, current));
+            addGridLine(points);
+            points = [];
+          } else {
+            if (previous && previous.inside) points.push(edgeCrossing(current, previous));
+            points.push(surfacePoint(current.x, current.z));
+          }
+          previous = { ...current, inside };
         }
-        
-        points.push(new THREE.Vector3(x, y, z));
+        addGridLine(points);
       }
-      
-      const geometry = new THREE.BufferGeometry().setFromPoints(points);
-      const colors = [];
-      points.forEach(point => {
-        const intensity = Math.max(0, -point.y / maxDepth);
-        colors.push(0.2 + intensity * 0.6, 0.4 + intensity * 0.4, 1.0);
-      });
-      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-      
-      const material = new THREE.LineBasicMaterial({ 
-        vertexColors: true,
-        opacity: 0.7, 
-        transparent: true
-      });
-      const line = new THREE.Line(geometry, material);
-      gridGroup.add(line);
     }
 
     sceneRef.current.add(gridGroup);
-  }, [showGrid, mass, gravityStrength, schwarzschildRadius, maxCurvatureDepth]);
+  }, [showGrid, sinkHeight, surfaceInnerRadius]);
 
   // Event horizon
   useEffect(() => {
@@ -582,12 +3168,27 @@ const GravitationalSink = () => {
 
     const existingHorizon = sceneRef.current.getObjectByName('eventHorizon');
     if (existingHorizon) {
-      sceneRef.current.remove(existingHorizon);
+      discardObject(existingHorizon);
     }
 
     if (!showHorizon) return;
 
-    const horizonGeometry = new THREE.SphereGeometry(schwarzschildRadius, 64, 64);
+    if (!horizons) {
+      // Naked singularity: nothing hides the core, so mark it with a small bright point
+      const core = new THREE.Mesh(
+        new THREE.SphereGeometry(schwarzschildRadius * 0.04, 16, 16),
+        new THREE.MeshBasicMaterial({ color: 0xffffff })
+      );
+      core.name = 'eventHorizon';
+      core.add(new THREE.Mesh(
+        new THREE.SphereGeometry(schwarzschildRadius * 0.12, 16, 16),
+        new THREE.MeshBasicMaterial({ color: 0xff66cc, opacity: 0.3, transparent: true, side: THREE.BackSide })
+      ));
+      sceneRef.current.add(core);
+      return;
+    }
+
+    const horizonGeometry = new THREE.SphereGeometry(horizons.outer, 64, 64);
     const horizonMaterial = new THREE.MeshBasicMaterial({ 
       color: 0xff2244, 
       opacity: 0.25 + (gravityStrength - 1) * 0.1,
@@ -597,7 +3198,7 @@ const GravitationalSink = () => {
     const eventHorizon = new THREE.Mesh(horizonGeometry, horizonMaterial);
     eventHorizon.name = 'eventHorizon';
     
-    const glowGeometry = new THREE.SphereGeometry(schwarzschildRadius * 1.1, 32, 32);
+    const glowGeometry = new THREE.SphereGeometry(horizons.outer * 1.1, 32, 32);
     const glowMaterial = new THREE.MeshBasicMaterial({
       color: 0xff4466,
       opacity: 0.1,
@@ -607,8 +3208,414 @@ const GravitationalSink = () => {
     const glow = new THREE.Mesh(glowGeometry, glowMaterial);
     eventHorizon.add(glow);
     
+    if (horizons.inner > 0) {
+      // Inner (Cauchy) horizon of a spinning or charged hole
+      const innerHorizon = new THREE.Mesh(
+        new THREE.SphereGeometry(horizons.inner, 24, 16),
+        new THREE.MeshBasicMaterial({ color: 0xff8844, opacity: 0.35, transparent: true, wireframe: true })
+      );
+      eventHorizon.add(innerHorizon);
+    }
+    
+    if (spinParameter > 0) {
+      // Ergosphere: a unit sphere pushed out to r_E(θ), with θ measured from the spin (y) axis
+      const M = schwarzschildRadius / 2;
+      const ergosphereGeometry = new THREE.SphereGeometry(1, 64, 32);
+      const position = ergosphereGeometry.attributes.position;
+      const vertex = new THREE.Vector3();
+      for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i);
+        const theta = Math.acos(Math.max(-1, Math.min(1, vertex.y)));
+        vertex.multiplyScalar(ergosphereRadius(M, spinParameter, theta));
+        position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+      }
+      ergosphereGeometry.computeVertexNormals();
+      const ergosphere = new THREE.Mesh(ergosphereGeometry, new THREE.MeshBasicMaterial({
+        color: 0x9966ff,
+        opacity: 0.15,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      }));
+      eventHorizon.add(ergosphere);
+    }
+    
     sceneRef.current.add(eventHorizon);
-  }, [showHorizon, schwarzschildRadius, gravityStrength]);
+  }, [showHorizon, schwarzschildRadius, gravityStrength, spinParameter, horizons?.outer, horizons?.inner]);
+
+  // Photon sphere
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    const existingPhotonSphere = sceneRef.current.getObjectByName('photonSphere');
+    if (existingPhotonSphere) {
+      discardObject(existingPhotonSphere);
+    }
+
+    if (!showPhotonSphere) return;
+
+    if (spinParameter > 0) {
+      // A spinning hole has no single photon sphere; draw its prograde and retrograde equatorial light orbits
+      const M = schwarzschildRadius / 2;
+      const photonOrbits = new THREE.Group();
+      photonOrbits.name = 'photonSphere';
+      [spinParameter, -spinParameter].forEach((a) => {
+        const radius = photonSphereRadius(M, a);
+        const points = Array.from({ length: 129 }, (_, i) => {
+          const phi = i / 128 * Math.PI * 2;
+          return new THREE.Vector3(radius * Math.cos(phi), 0, radius * Math.sin(phi));
+        });
+        photonOrbits.add(new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints(points),
+          new THREE.LineBasicMaterial({ color: 0xffcc33, opacity: a > 0 ? 0.7 : 0.35, transparent: true })
+        ));
+      });
+      sceneRef.current.add(photonOrbits);
+      return;
+    }
+
+    // A strongly charged naked singularity has no photon sphere
+    const photonRadius = photonSphereRadius(schwarzschildRadius / 2, 0, chargeParameter);
+    if (photonRadius === null) return;
+    const photonSphereGeometry = new THREE.SphereGeometry(photonRadius, 48, 24);
+    const photonSphereMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffcc33,
+      opacity: 0.2,
+      transparent: true,
+      wireframe: true
+    });
+    const photonSphere = new THREE.Mesh(photonSphereGeometry, photonSphereMaterial);
+    photonSphere.name = 'photonSphere';
+    
+    sceneRef.current.add(photonSphere);
+  }, [showPhotonSphere, schwarzschildRadius, spinParameter, chargeParameter]);
+
+  // Accretion disk: a ring on the sink surface whose shader colors it by the temperature seen from
+  // the camera. It is a child of the scene, so it turns with the scene rotation.
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    const existingDisk = sceneRef.current.getObjectByName('accretionDisk');
+    if (existingDisk) {
+      discardObject(existingDisk);
+    }
+
+    if (!diskProfile) return;
+
+    const M = schwarzschildRadius / 2;
+    const { inner, outer, rings } = diskProfile;
+    const segments = 128;
+    const geometry = new THREE.RingGeometry(inner, outer, segments, DISK_RINGS);
+    const position = geometry.attributes.position;
+    const temperature = new Float32Array(position.count);
+    const orbit = new Float32Array(position.count * 4);
+    // RingGeometry lists its vertices ring by ring from the inside out, in the xy plane
+    for (let i = 0; i < position.count; i++) {
+      const ring = rings[Math.floor(i / (segments + 1))];
+      const x = position.getX(i);
+      const z = position.getY(i);
+      position.setXYZ(i, x, sinkHeight(ring.r) + 0.05, z);
+      temperature[i] = ring.temperature;
+      orbit.set(ring.orbit, i * 4);
+    }
+    geometry.setAttribute('temperature', new THREE.BufferAttribute(temperature, 1));
+    geometry.setAttribute('orbit', new THREE.BufferAttribute(orbit, 4));
+    
+    const lookup = new Uint8Array(256 * 4);
+    for (let k = 0; k < 256; k++) {
+      const kelvin = BLACKBODY_RANGE.min * Math.pow(BLACKBODY_RANGE.max / BLACKBODY_RANGE.min, k / 255);
+      lookup.set([...blackbodyColor(kelvin).map(c => Math.round(c * 255)), 255], k * 4);
+    }
+    const blackbody = new THREE.DataTexture(lookup, 256, 1, THREE.RGBAFormat);
+    blackbody.magFilter = THREE.LinearFilter;
+    blackbody.minFilter = THREE.LinearFilter;
+    blackbody.needsUpdate = true;
+    
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        blackbody: { value: blackbody },
+        peakTemperature: { value: diskTemperature },
+        temperatureMin: { value: BLACKBODY_RANGE.min },
+        temperatureMax: { value: BLACKBODY_RANGE.max },
+        observer: { value: new THREE.Vector3() },
+        observerLapse: { value: 1 }
+      },
+      vertexShader: ACCRETION_DISK_VERTEX_SHADER,
+      fragmentShader: ACCRETION_DISK_FRAGMENT_SHADER,
+      side: THREE.DoubleSide,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    const disk = new THREE.Mesh(geometry, material);
+    disk.name = 'accretionDisk';
+    disk.onBeforeRender = (renderer, scene, camera) => {
+      const observer = material.uniforms.observer.value;
+      disk.worldToLocal(observer.setFromMatrixPosition(camera.matrixWorld));
+      const radius = Math.max(observer.length(), horizonRadius * 1.05);
+      material.uniforms.observerLapse.value = localFrame(radius, M, spinParameter, chargeParameter).lapse;
+    };
+    
+    sceneRef.current.add(disk);
+  }, [diskProfile, diskTemperature, schwarzschildRadius, spinParameter, chargeParameter, horizonRadius, sinkHeight]);
+
+  // Lensed sky: a sphere around the scene whose shader bends each view ray through the Δφ(ψ) table.
+  // The table is rebuilt whenever the camera's distance from the hole changes by more than 1%.
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    const existingSky = sceneRef.current.getObjectByName('lensedSky');
+    if (existingSky) {
+      discardObject(existingSky);
+    }
+    lensedSkyRef.current = null;
+
+    if (!showLensedSky) {
+      setSkyReadout(null);
+      return;
+    }
+
+    const scene = sceneRef.current;
+    const M = schwarzschildRadius / 2;
+    let cancelled = false;
+    
+    const build = (canvas) => {
+      if (cancelled || scene !== sceneRef.current) return;
+      
+      const skyTexture = new THREE.CanvasTexture(canvas);
+      // No mipmaps: the seam in the equirectangular map would otherwise pick the smallest level
+      skyTexture.generateMipmaps = false;
+      skyTexture.minFilter = THREE.LinearFilter;
+      const tableData = new Float32Array(LENSING_TABLE_SIZE * 4);
+      const tableTexture = new THREE.DataTexture(tableData, LENSING_TABLE_SIZE, 1, THREE.RGBAFormat, THREE.FloatType);
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          sky: { value: skyTexture },
+          sweepTable: { value: tableTexture },
+          tableSize: { value: LENSING_TABLE_SIZE },
+          shadowAngle: { value: 0 },
+          observer: { value: new THREE.Vector3() }
+        },
+        vertexShader: LENSED_SKY_VERTEX_SHADER,
+        fragmentShader: LENSED_SKY_FRAGMENT_SHADER,
+        side: THREE.BackSide,
+        depthWrite: false
+      });
+      const sky = new THREE.Mesh(new THREE.SphereGeometry(SKY_RADIUS, 64, 32), material);
+      sky.name = 'lensedSky';
+      sky.renderOrder = -1;
+      sky.frustumCulled = false;
+      
+      const state = { mesh: sky, canvas, table: null, tableRadius: 0 };
+      // The sky turns with the scene, so the camera is followed in the sky's own frame
+      sky.onBeforeRender = (renderer, renderScene, camera) => {
+        const observer = material.uniforms.observer.value;
+        sky.worldToLocal(observer.setFromMatrixPosition(camera.matrixWorld));
+        const radius = observer.length();
+        if (state.table && Math.abs(radius / state.tableRadius - 1) < 0.01) return;
+        
+        const table = lensingTable(M, radius, LENSING_TABLE_SIZE);
+        table.sweep.forEach((sweep, k) => { tableData[k * 4] = sweep; });
+        tableTexture.needsUpdate = true;
+        material.uniforms.shadowAngle.value = table.shadowAngle;
+        state.table = table;
+        state.tableRadius = radius;
+        setSkyReadout({
+          observerRadius: table.observerRadius / M,
+          shadowAngle: table.shadowAngle,
+          ringAngle: einsteinRingAngle(table)
+        });
+      };
+      
+      lensedSkyRef.current = state;
+      scene.add(sky);
+    };
+    
+    if (skyImage) {
+      const image = new Image();
+      image.onload = () => build(imageToCanvas(image));
+      // An unreadable file falls back to the starfield, and the panel says so
+      image.onerror = () => {
+        if (cancelled) return;
+        console.warn('Sky image could not be loaded');
+        URL.revokeObjectURL(skyImage);
+        setSkyImage(null);
+        setSkyImageFailed(true);
+      };
+      image.src = skyImage;
+    } else {
+      starfieldRef.current = starfieldRef.current || drawStarfield();
+      build(starfieldRef.current);
+    }
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [showLensedSky, skyImage, schwarzschildRadius]);
+
+  const loadSkyImage = (file) => {
+    if (!file) return;
+    if (skyImage) URL.revokeObjectURL(skyImage);
+    setSkyImage(URL.createObjectURL(file));
+    setSkyImageFailed(false);
+  };
+  
+  const clearSkyImage = () => {
+    if (skyImage) URL.revokeObjectURL(skyImage);
+    setSkyImage(null);
+    setSkyImageFailed(false);
+  };
+  
+  // CPU render of the lensed sky alone, from the same table and camera at the capture resolution, to
+  // compare against a snapshot of the shader. Rows are traced in slices of about SKY_REFERENCE_SLICE_MS,
+  // yielding in between so the page stays responsive and the capture's cancel button works.
+  const renderSkyReference = async () => {
+    const sky = lensedSkyRef.current;
+    const camera = cameraRef.current;
+    if (!sky?.table || !camera || capturingRef.current) return;
+    const { width, height } = captureSize();
+    
+    const view = camera.clone();
+    view.aspect = width / height;
+    view.updateProjectionMatrix();
+    const toSky = sky.mesh.matrixWorld.clone().invert();
+    const observer = view.position.clone().applyMatrix4(toSky).toArray();
+    const source = sky.canvas.getContext('2d').getImageData(0, 0, sky.canvas.width, sky.canvas.height);
+    
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    const ray = new THREE.Vector3();
+    capturingRef.current = true;
+    setCaptureProgress({ done: 0, total: height });
+    let sliceStart = performance.now();
+    for (let py = 0; py < height; py++) {
+      if (performance.now() - sliceStart > SKY_REFERENCE_SLICE_MS) {
+        setCaptureProgress({ done: py, total: height });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (!capturingRef.current) break;
+        sliceStart = performance.now();
+      }
+      for (let px = 0; px < width; px++) {
+        ray.set((px + 0.5) / width * 2 - 1, 1 - (py + 0.5) / height * 2, 0.5)
+          .unproject(view).sub(view.position).transformDirection(toSky);
+        const direction = lensedDirection(sky.table, observer, ray.toArray());
+        const pixel = (py * width + px) * 4;
+        image.data[pixel + 3] = 255;
+        if (!direction) continue;
+        const [u, v] = equirectangularUv(direction);
+        const sx = Math.min(source.width - 1, Math.floor(u * source.width));
+        const sy = Math.min(source.height - 1, Math.floor((1 - v) * source.height));
+        const sourcePixel = (sy * source.width + sx) * 4;
+        image.data[pixel] = source.data[sourcePixel];
+        image.data[pixel + 1] = source.data[sourcePixel + 1];
+        image.data[pixel + 2] = source.data[sourcePixel + 2];
+      }
+    }
+    const finished = capturingRef.current;
+    capturingRef.current = false;
+    setCaptureProgress(null);
+    if (!finished) return;
+    ctx.putImageData(image, 0, 0);
+    canvasToBlob(output)
+      .then(blob => downloadFile(`lensed-sky-reference-${width}x${height}.png`, blob, 'image/png'))
+      .catch(error => console.warn('Reference render failed:', error));
+  };
+
+  // Clock labels are built by the render loop; this only hands it the toggle and the time units
+  useEffect(() => {
+    clockSettingsRef.current = { labels: showClocks && showClockLabels, formatTime: units.time };
+    
+    if (!clockSettingsRef.current.labels && sceneRef.current) {
+      const existingLabels = sceneRef.current.getObjectByName('clockLabels');
+      if (existingLabels) discardObject(existingLabels);
+    }
+  }, [showClocks, showClockLabels, units]);
+
+  // Velocity trails are built by the render loop; this only hands it the settings
+  useEffect(() => {
+    trailSettingsRef.current = { enabled: showVelocityTrails, length: trailLength, decay: trailDecay, colorBy: trailColorBy };
+    
+    if (!showVelocityTrails && sceneRef.current) {
+      const existingTrails = sceneRef.current.getObjectByName('velocityTrails');
+      if (existingTrails) {
+        discardObject(existingTrails);
+      }
+      velocityTrailsRef.current = [];
+    }
+  }, [showVelocityTrails, trailLength, trailDecay, trailColorBy]);
+
+  useEffect(() => {
+    interactionRef.current.selected = selectedParticle;
+  }, [selectedParticle]);
+
+  // Light rays
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    const existingRays = sceneRef.current.getObjectByName('lightRays');
+    if (existingRays) {
+      discardObject(existingRays);
+    }
+    lightRaysRef.current = [];
+
+    if (!showLightRays) {
+      setRayReadout([]);
+      return;
+    }
+
+    const rayGroup = new THREE.Group();
+    rayGroup.name = 'lightRays';
+    
+    const M = schwarzschildRadius / 2;
+    // Impact parameters are scaled by b_c, or by the uncharged b_c when there is no photon sphere
+    const bc = criticalImpactParameter(M, spinParameter, chargeParameter) || criticalImpactParameter(M);
+    const readout = [];
+
+    for (let i = 0; i < rayCount; i++) {
+      const fraction = rayCount > 1 ? i / (rayCount - 1) : 0;
+      const b = bc * (impactRange.min + (impactRange.max - impactRange.min) * fraction);
+      const initial = lightRayInitialConditions({
+        sourceDistance: lightSourceDistance,
+        sourceAngle: lightSourceAngle * Math.PI / 180,
+        b
+      });
+      const geodesic = integrateGeodesic({
+        M, a: spinParameter, Q: chargeParameter, ...initial, maxProperTime: 20 * initial.r0
+      });
+      const classification = classifyRay(geodesic);
+      
+      const points = geodesic.samples.map(({ r, phi }) =>
+        new THREE.Vector3(r * Math.cos(phi), sinkHeight(r), r * Math.sin(phi))
+      );
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      const material = new THREE.LineBasicMaterial({
+        color: RAY_COLORS[classification],
+        opacity: 0.6,
+        transparent: true
+      });
+      rayGroup.add(new THREE.Line(geometry, material));
+      
+      const photon = new THREE.Mesh(
+        new THREE.SphereGeometry(0.12, 8, 8),
+        new THREE.MeshBasicMaterial({ color: RAY_COLORS[classification] })
+      );
+      rayGroup.add(photon);
+      
+      lightRaysRef.current.push({ geodesic, points, photon });
+      readout.push({
+        impactParameter: b / bc,
+        classification,
+        deflection: rayDeflection(geodesic),
+        weakFieldDeflection: 4 * M / b
+      });
+    }
+
+    sceneRef.current.add(rayGroup);
+    setRayReadout(readout);
+  }, [showLightRays, schwarzschildRadius, spinParameter, chargeParameter, lightSourceDistance, lightSourceAngle, impactRange, rayCount, sinkHeight]);
 
   // Particles and trajectories
   useEffect(() => {
@@ -618,10 +3625,13 @@ const GravitationalSink = () => {
     const existingParticles = sceneRef.current.getObjectByName('particles');
     
     [existingTrajectories, existingParticles].forEach(obj => {
-      if (obj) sceneRef.current.remove(obj);
+      if (obj) discardObject(obj);
     });
 
-    if (!showTrajectories && !showParticles) return;
+    if (!showTrajectories && !showParticles) {
+      setTimelineEvents([]);
+      return;
+    }
 
     const trajectoryGroup = new THREE.Group();
     trajectoryGroup.name = 'trajectories';
@@ -633,43 +3643,35 @@ const GravitationalSink = () => {
     particlesRef.current = [];
     trajectoryDataRef.current = [];
     physicsDataRef.current = [];
+    radiusHistoryRef.current = [];
+    extendedBodiesRef.current = [];
+    particleInstancesRef.current = null;
 
-    for (let t = 0; t < particleCount; t++) {
-      const angle = (t / particleCount) * Math.PI * 2;
-      const startRadius = 20 + t * 2;
-      
-      const points = [];
-      const numPoints = 500;
+    const M = schwarzschildRadius / 2;
+    const horizon = horizonRadii(M, spinParameter, chargeParameter)?.outer ?? 0;
+    const initialConditions = [
+      ...Array.from({ length: particleCount }, (_, t) => defaultInitialConditions(t, particleCount, M, spinParameter, chargeParameter)),
+      ...launchedParticles
+    ];
+
+    initialConditions.forEach(({ id = null, launchTime = 0, ...initial }, t) => {
+      const geodesic = integrateGeodesic({ M, a: spinParameter, Q: chargeParameter, ...initial });
       
-      for (let i = 0; i < numPoints; i++) {
-        const progress = i / numPoints;
-        const phi = progress * Math.PI * 5 + angle;
-        
-        let r = startRadius * (1 - progress * 0.9);
-        r = Math.max(r, schwarzschildRadius * 1.02);
-        r = r * (1 + 0.1 * Math.sin(phi * 3));
-        
-        const x = r * Math.cos(phi);
-        const z = r * Math.sin(phi);
-        
-        let y = 0;
-        if (r > schwarzschildRadius * 0.5) {
-          const curvatureFactor = Math.pow(schwarzschildRadius * gravityStrength / Math.max(r, schwarzschildRadius * 0.5), 1.5);
-          y = -curvatureFactor * maxCurvatureDepth * 0.3;
-          y += Math.sin(r * 0.5) * curvatureFactor * 0.5;
-        } else {
-          y = -maxCurvatureDepth;
-        }
-        
-        points.push(new THREE.Vector3(x, y, z));
-      }
+      const points = geodesic.samples.map(({ r, phi }) =>
+        new THREE.Vector3(r * Math.cos(phi), sinkHeight(r), r * Math.sin(phi))
+      );
       
-      trajectoryDataRef.current[t] = points;
+      const classification = classifyOrbit(geodesic);
+      const orbit = classification === 'bound' ? measureOrbit(geodesic) : null;
+      trajectoryDataRef.current[t] = {
+        ...geodesic, points, initial, launchId: id, launchTime, classification, orbit,
+        periods: orbitPeriods(geodesic, classification, orbit)
+      };
       
       if (showTrajectories) {
         const geometry = new THREE.BufferGeometry().setFromPoints(points);
         const material = new THREE.LineBasicMaterial({ 
-          color: new THREE.Color().setHSL(t / particleCount, 0.8, 0.6),
+          color: id === null ? new THREE.Color().setHSL(t / particleCount, 0.8, 0.6) : new THREE.Color(0xffffff),
           opacity: 0.5,
           transparent: true
         });
@@ -678,51 +3680,310 @@ const GravitationalSink = () => {
       }
       
       if (showParticles) {
-        const particleGeometry = new THREE.SphereGeometry(0.08, 12, 12);
-        const particleMaterial = new THREE.MeshBasicMaterial({ 
-          color: 0xffff00,
-          opacity: 0.95,
-          transparent: true
-        });
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-        particle.castShadow = true;
-        particle.visible = true;
-        
-        particlesRef.current[t] = particle;
-        particleGroup.add(particle);
+        particlesRef.current[t] = createParticleHandle();
         
         // Initialize physics data
         physicsDataRef.current[t] = {
           radius: 0, timeDilation: 1, coordinateVelocity: 0,
           properVelocity: 0, localVelocity: 0, radialVelocity: 0,
-          tangentialVelocity: 0, angularVelocity: 0, orbitalPeriod: 0,
-          redshift: 0, escapeVelocity: 0, gravAcceleration: 0,
-          kineticEnergy: 0, potentialEnergy: 0, particleIndex: t
+          tangentialVelocity: 0, angularVelocity: 0, orbitalPeriod: 0, radialPeriod: 0, orbitClass: classification,
+          redshift: 0, frameDragging: 0, escapeVelocity: 0, gravAcceleration: 0,
+          kineticEnergy: 0, potentialEnergy: 0, energy: geodesic.E,
+          angularMomentum: geodesic.L, properTime: 0, coordinateTime: 0, particleIndex: t
         };
+        
+        if (initial.extended) {
+          const members = extendedBodyConditions({ ...initial, ur0: geodesic.samples[0].ur }, M, spinParameter, chargeParameter)
+            .filter(({ r0, E }) => r0 > horizon && Number.isFinite(E))
+            .map(({ offset, ...member }) => {
+              const { samples } = integrateGeodesic({
+                M, a: spinParameter, Q: chargeParameter, ...member, maxSteps: EXTENDED_BODY_MAX_STEPS
+              });
+              const memberPoints = samples.map(({ r, phi }) =>
+                new THREE.Vector3(r * Math.cos(phi), sinkHeight(r), r * Math.sin(phi))
+              );
+              return { samples, points: memberPoints, offset };
+            });
+          
+          // Coloured from red on the side facing the hole to blue on the far side, so the stretch reads at a glance
+          const color = new THREE.Color();
+          const geometry = new THREE.BufferGeometry();
+          geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(members.length * 3), 3));
+          geometry.setAttribute('color', new THREE.Float32BufferAttribute(
+            members.flatMap(({ offset }) => color.setHSL(0.3 * (offset + 1), 0.9, 0.6).toArray()), 3
+          ));
+          const cloud = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.15,
+            vertexColors: true,
+            opacity: 0.9,
+            transparent: true
+          }));
+          cloud.frustumCulled = false;
+          particleGroup.add(cloud);
+          extendedBodiesRef.current.push({ trajectory: trajectoryDataRef.current[t], members, cloud });
+        }
       }
+    });
+
+    // Every particle is drawn as one instance of a single mesh
+    if (showParticles && particlesRef.current.length > 0) {
+      const instances = new THREE.InstancedMesh(
+        new THREE.SphereGeometry(0.08, 12, 12),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, opacity: 0.95, transparent: true }),
+        particlesRef.current.length
+      );
+      instances.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      particlesRef.current.forEach((particle, index) => instances.setColorAt(index, particle.color));
+      instances.frustumCulled = false;
+      particleGroup.add(instances);
+      particleInstancesRef.current = instances;
     }
 
     if (showTrajectories) sceneRef.current.add(trajectoryGroup);
     if (showParticles) sceneRef.current.add(particleGroup);
-  }, [showTrajectories, showParticles, schwarzschildRadius, particleCount, gravityStrength, maxCurvatureDepth]);
+    setTimelineEvents(trajectoryDataRef.current.flatMap(trajectoryEvents).sort((a, b) => a.time - b.time));
+    // Place the new particles straight away, even while paused
+    advanceSceneRef.current?.(animationTimeRef.current);
+  }, [showTrajectories, showParticles, schwarzschildRadius, spinParameter, chargeParameter, particleCount, launchedParticles, sinkHeight]);
+
+  // Dust cloud: thousands of free-falling grains stepped together and drawn as instances of one mesh
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    const existing = sceneRef.current.getObjectByName('dust');
+    if (existing) discardObject(existing);
+    dustRef.current = null;
+    if (dustCount === 0) return;
+
+    const M = schwarzschildRadius / 2;
+    const dust = createDust(dustInitialConditions(dustCount, M, spinParameter, chargeParameter), M, spinParameter, chargeParameter);
+    const mesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(0.05, 6, 4),
+      new THREE.MeshBasicMaterial({ color: 0xffffff }),
+      dust.count
+    );
+    mesh.name = 'dust';
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Allocates the per-instance colors; every grain is recolored on its first draw
+    mesh.setColorAt(0, new THREE.Color());
+    mesh.frustumCulled = false;
+    sceneRef.current.add(mesh);
+
+    dustRef.current = {
+      dust, mesh, sinkHeight,
+      speeds: new Float64Array(dust.count),
+      start: animationTimeRef.current,
+      step: 0,
+      drawnStep: null,
+      drawnHovered: null,
+      hovered: null,
+      interval: DUST_SNAPSHOT_STEPS,
+      snapshots: new Map([[0, snapshotDust(dust)]])
+    };
+    advanceSceneRef.current?.(animationTimeRef.current);
+  }, [dustCount, schwarzschildRadius, spinParameter, chargeParameter]);
+
+  // A new embedding only moves the grains up or down, so the integrated cloud is kept and redrawn
+  useEffect(() => {
+    if (!dustRef.current || dustRef.current.sinkHeight === sinkHeight) return;
+    Object.assign(dustRef.current, { sinkHeight, drawnStep: null });
+    advanceSceneRef.current?.(animationTimeRef.current);
+  }, [sinkHeight]);
+
+  // Particle launcher: press on the surface, drag to aim and release to launch
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!mount || !launchMode) return;
+
+    const M = schwarzschildRadius / 2;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let drag = null;
+    let suppressClick = false;
+
+    const castRay = (event) => {
+      const rect = rendererRef.current.domElement.getBoundingClientRect();
+      pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      raycaster.setFromCamera(pointer, cameraRef.current);
+      return raycaster.ray;
+    };
+    
+    // Scene-local hit on the plane y = height (the scene only rotates about y)
+    const hitPlane = (ray, height) => {
+      const hit = ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -height), new THREE.Vector3());
+      return hit && sceneRef.current.worldToLocal(hit);
+    };
+    
+    // Walk the plane hit onto the curved surface
+    const hitSurface = (ray) => {
+      let hit = hitPlane(ray, 0);
+      for (let i = 0; hit && i < 8; i++) {
+        hit = hitPlane(ray, sinkHeight(Math.hypot(hit.x, hit.z)));
+      }
+      return hit;
+    };
+    
+    const launchConditions = (start, end) => {
+      const r = Math.hypot(start.x, start.z);
+      const phi = Math.atan2(start.z, start.x);
+      const dx = end.x - start.x;
+      const dz = end.z - start.z;
+      const length = Math.hypot(dx, dz) || 1;
+      const speed = Math.min(0.95, Math.hypot(dx, dz) * LAUNCH_SPEED_PER_UNIT);
+      return initialConditionsFromVelocity({
+        M, a: spinParameter, Q: chargeParameter, r, phi,
+        radialVelocity: speed * (dx * Math.cos(phi) + dz * Math.sin(phi)) / length,
+        tangentialVelocity: speed * (dz * Math.cos(phi) - dx * Math.sin(phi)) / length
+      });
+    };
+    
+    const clearPreview = () => {
+      const existingPreview = sceneRef.current?.getObjectByName('launchPreview');
+      if (existingPreview) discardObject(existingPreview);
+    };
+    
+    const showPreview = (start, end) => {
+      clearPreview();
+      
+      const previewGroup = new THREE.Group();
+      previewGroup.name = 'launchPreview';
+      
+      const direction = end.clone().sub(start);
+      if (direction.length() > 0) {
+        previewGroup.add(new THREE.ArrowHelper(direction.clone().normalize(), start, direction.length(), 0xffffff));
+      }
+      
+      const ghost = integrateGeodesic({
+        M, a: spinParameter, Q: chargeParameter, ...launchConditions(start, end), maxSteps: 4000
+      });
+      const geometry = new THREE.BufferGeometry().setFromPoints(
+        ghost.samples.map(({ r, phi }) => new THREE.Vector3(r * Math.cos(phi), sinkHeight(r), r * Math.sin(phi)))
+      );
+      const material = new THREE.LineDashedMaterial({
+        color: 0xffffff,
+        dashSize: 0.6,
+        gapSize: 0.4,
+        opacity: 0.6,
+        transparent: true
+      });
+      const line = new THREE.Line(geometry, material);
+      line.computeLineDistances();
+      previewGroup.add(line);
+      
+      sceneRef.current.add(previewGroup);
+    };
+
+    const handleMouseDown = (event) => {
+      if (event.button !== 0 || !sceneRef.current || !cameraRef.current) return;
+      const start = hitSurface(castRay(event));
+      if (!start || Math.hypot(start.x, start.z) <= horizonRadius * 1.05) return;
+      
+      // Aiming replaces the camera orbit for this drag
+      event.stopPropagation();
+      drag = { start, end: null, clientX: event.clientX, clientY: event.clientY };
+    };
+    
+    const handleMouseMove = (event) => {
+      if (!drag) return;
+      const end = hitPlane(castRay(event), drag.start.y);
+      if (!end) return;
+      drag.end = end;
+      showPreview(drag.start, end);
+    };
+    
+    const handleMouseUp = (event) => {
+      if (!drag) return;
+      const moved = Math.hypot(event.clientX - drag.clientX, event.clientY - drag.clientY) > 4;
+      if (moved && drag.end) {
+        const initial = launchConditions(drag.start, drag.end);
+        setLaunchedParticles(prev => addLaunched(prev, {
+          ...initial, ...(launchExtended && { extended: true }),
+          id: ++launchIdRef.current, launchTime: animationTimeRef.current
+        }));
+        suppressClick = true;
+      }
+      clearPreview();
+      drag = null;
+    };
+    
+    // A completed launch should not also count as a click on empty space
+    const handleClick = (event) => {
+      if (!suppressClick) return;
+      suppressClick = false;
+      event.stopPropagation();
+    };
+    
+    mount.addEventListener('mousedown', handleMouseDown, true);
+    mount.addEventListener('click', handleClick, true);
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    mount.style.cursor = 'crosshair';
+    
+    return () => {
+      mount.removeEventListener('mousedown', handleMouseDown, true);
+      mount.removeEventListener('click', handleClick, true);
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      mount.style.cursor = '';
+      clearPreview();
+    };
+  }, [launchMode, launchExtended, schwarzschildRadius, spinParameter, chargeParameter, horizonRadius, sinkHeight]);
+
+  // Keep the URL hash in sync with the configuration
+  useEffect(() => {
+    if (window.location.hash.slice(1) !== sharedHash) {
+      window.history.replaceState(null, '', `#${sharedHash}`);
+    }
+  }, [sharedHash]);
+
+  // Follow links pasted into an already open tab
+  useEffect(() => {
+    const handleHashChange = () => applySharedState(parseSharedState(window.location.hash.slice(1)));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applySharedState]);
 
   // Camera distance update
   useEffect(() => {
     if (!cameraRef.current) return;
     
-    const currentPosition = cameraRef.current.position.clone();
+    // Away on a ride-along, the change applies to the orbit pose the camera returns to
+    const rig = cameraRigRef.current;
+    const orbitPosition = rig.blend > 0 ? rig.orbitPosition : cameraRef.current.position;
     const spherical = new THREE.Spherical();
-    spherical.setFromVector3(currentPosition);
+    spherical.setFromVector3(orbitPosition);
     spherical.radius = cameraDistance;
     
-    cameraRef.current.position.setFromSpherical(spherical);
-    cameraRef.current.lookAt(0, 0, 0);
+    orbitPosition.setFromSpherical(spherical);
+    if (rig.blend === 0) cameraRef.current.lookAt(0, 0, 0);
   }, [cameraDistance]);
 
+  // The render loop keeps the clock; pausing or changing speed only hands it the settings
+  useEffect(() => {
+    timelineSettingsRef.current = { playing: isPlaying, speed: animationSpeed, rotation: rotationSpeed };
+  }, [isPlaying, animationSpeed, rotationSpeed]);
+
+  // The render loop moves the camera; this only hands it the settings
+  useEffect(() => {
+    cameraSettingsRef.current = { mode: cameraMode, look: cameraLook, aberration: showAberration };
+  }, [cameraMode, cameraLook, showAberration]);
+
   return (
     <div className="w-full h-screen bg-gray-900 relative overflow-hidden">
       <div ref={mountRef} className="w-full h-full" />
       
+      <Timeline
+        animationTimeRef={animationTimeRef}
+        timelineRef={timelineRef}
+        events={timelineEvents}
+        isPlaying={isPlaying}
+        formatTime={units.time}
+        onTogglePlay={() => setIsPlaying(!isPlaying)}
+        onStep={stepTimeline}
+        onSeek={seekTimeline}
+      />
+      
       {/* Enhanced Gravitational Sink Controls */}
       <DraggablePanel 
         title="🌌 Gravitational Sink Controls"
@@ -743,13 +4004,48 @@ const GravitationalSink = () => {
             </div>
           </div>
 
+          <div className="bg-gray-800 p-3 rounded-lg border border-indigo-500">
+            <h4 className="text-indigo-300 font-bold mb-2">🎬 Scenarios</h4>
+            <select
+              value={scenario ?? ''}
+              onChange={(e) => e.target.value && loadScenario(e.target.value)}
+              className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm"
+            >
+              <option value="">Choose a scenario…</option>
+              {SCENARIOS.map(({ key, label }) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            {scenario && (
+              <div className="mt-2 p-2 rounded bg-gray-700 text-xs text-gray-200 space-y-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="font-semibold text-indigo-200">{SCENARIOS.find(({ key }) => key === scenario).label}</div>
+                  <button
+                    onClick={() => setScenario(null)}
+                    className="px-1 text-gray-400 hover:text-white"
+                    title="Dismiss"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <div>{SCENARIOS.find(({ key }) => key === scenario).explanation}</div>
+                <button
+                  onClick={() => loadScenario(scenario)}
+                  className="w-full px-2 py-1 bg-indigo-600 hover:bg-indigo-700 rounded"
+                >
+                  ↺ Restart scenario
+                </button>
+              </div>
+            )}
+          </div>
+
           <div className="bg-gray-800 p-3 rounded-lg border border-blue-500">
             <h4 className="text-blue-300 font-bold mb-2">🔥 Core Parameters</h4>
             
             <div className="space-y-3">
               <div>
                 <label className="block text-sm font-medium mb-2">
-                  Central Mass: {mass.toFixed(1)} M☉
+                  Central Mass: {mass.toFixed(1)}
                 </label>
                 <input
                   type="range"
@@ -783,9 +4079,89 @@ const GravitationalSink = () => {
                 </div>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium mb-2">Central Object</label>
+                {CENTRAL_OBJECTS.map(({ key, label, desc }) => (
+                  <label key={key} className="flex items-center cursor-pointer hover:bg-gray-700 p-1 rounded">
+                    <input
+                      type="radio"
+                      name="centralObject"
+                      checked={centralObject === key}
+                      onChange={() => setCentralObject(key)}
+                      className="mr-3 w-4 h-4 text-blue-600 bg-gray-700 border-gray-600 focus:ring-blue-500"
+                    />
+                    <div>
+                      <div className="text-sm font-medium">{label}</div>
+                      <div className="text-xs text-gray-400">{desc}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+              
+              {centralObject === 'kerr' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Spin a/M: {spin.toFixed(3)}
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="0.998"
+                    step="0.002"
+                    value={spin}
+                    onChange={(e) => setSpin(parseFloat(e.target.value))}
+                    className="w-full h-3 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <div className="text-xs text-gray-400 mt-1">
+                    Rotating (Kerr) hole: frame dragging, an ergosphere and split prograde/retrograde orbits
+                  </div>
+                </div>
+              )}
+              
+              {centralObject === 'reissnerNordstrom' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Charge Q/M: {charge.toFixed(2)}
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1.2"
+                    step="0.01"
+                    value={charge}
+                    onChange={(e) => setCharge(parseFloat(e.target.value))}
+                    className="w-full h-3 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <div className="text-xs text-gray-400 mt-1">
+                    Charged hole: electric field energy weakens gravity close in and opens an inner horizon
+                  </div>
+                  {!horizons && (
+                    <div className="mt-2 p-2 rounded bg-red-900 border border-red-500 text-xs text-red-200">
+                      ⚠️ Naked singularity: with Q &gt; M there is no horizon, and the singularity at r = 0 is
+                      visible from outside. Cosmic censorship suggests nature forbids this; infalling particles
+                      are turned back by the charge's repulsion.
+                    </div>
+                  )}
+                </div>
+              )}
+              
               <div className="bg-gray-700 p-2 rounded text-xs">
-                <div><strong className="text-red-300">Schwarzschild Radius:</strong> {schwarzschildRadius.toFixed(2)} M</div>
-                <div><strong className="text-blue-300">Max Sink Depth:</strong> {maxCurvatureDepth.toFixed(1)} M</div>
+                <div><strong className="text-red-300">Schwarzschild Radius:</strong> {units.length(schwarzschildRadius)}</div>
+                {horizons && horizons.inner > 0 && (
+                  <div><strong className="text-red-300">Horizons r₊ / r₋:</strong> {units.length(horizons.outer)} / {units.length(horizons.inner)}</div>
+                )}
+                {!horizons && (
+                  <div><strong className="text-red-300">Horizons:</strong> none (naked singularity)</div>
+                )}
+                {spinParameter > 0 && (
+                  <div><strong className="text-purple-300">Ergosphere (equator):</strong> {units.length(schwarzschildRadius)}</div>
+                )}
+                <div>
+                  <strong className="text-green-300">ISCO:</strong> {spinParameter > 0
+                    ? `${units.length(iscoRadius(schwarzschildRadius / 2, spinParameter))} prograde, ${units.length(iscoRadius(schwarzschildRadius / 2, -spinParameter))} retrograde`
+                    : units.length(iscoRadius(schwarzschildRadius / 2, 0, chargeParameter))}
+                </div>
+                <div><strong className="text-blue-300">Max Sink Depth:</strong> {units.length(sinkDepth, 1)}</div>
               </div>
             </div>
           </div>
@@ -794,13 +4170,77 @@ const GravitationalSink = () => {
             <label className="block text-sm font-medium mb-2">Test Particles: {particleCount}</label>
             <input
               type="range"
-              min="4"
+              min="0"
               max="20"
               step="1"
               value={particleCount}
               onChange={(e) => setParticleCount(parseInt(e.target.value))}
               className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
             />
+            <div className="text-xs text-gray-400 mt-1">
+              Up to 20 tracked particles, plus {MAX_LAUNCHED_PARTICLES} launched ones ({MAX_EXTENDED_BODIES} of them
+              extended), each with its own path, readouts, clocks and export. For thousands of bodies use the
+              dust cloud below.
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium mb-2">Dust Cloud: {dustCount} grains</label>
+            <input
+              type="range"
+              min="0"
+              max="10000"
+              step="500"
+              value={dustCount}
+              onChange={(e) => setDustCount(parseInt(e.target.value))}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+            />
+            <div className="text-xs text-gray-400 mt-1">
+              Free-falling grains stepped together on the simulation clock. Grains have no readouts or export of
+              their own; click one to launch a tracked test particle from it.
+            </div>
+          </div>
+
+          <div className="bg-gray-800 p-3 rounded-lg border border-green-500">
+            <button
+              onClick={() => setLaunchMode(!launchMode)}
+              className={`w-full px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                launchMode ? 'bg-green-600 hover:bg-green-700 text-white' : 'bg-gray-700 hover:bg-gray-600 text-green-300'
+              }`}
+            >
+              {launchMode ? '🎯 LAUNCHER ACTIVE' : '🎯 LAUNCH PARTICLES'}
+            </button>
+            <div className="text-xs text-gray-400 mt-2">
+              Press on the grid, drag to aim (longer drag = faster), release to launch.
+            </div>
+            <label className="flex items-center text-sm cursor-pointer mt-2">
+              <input
+                type="checkbox"
+                checked={launchExtended}
+                onChange={(e) => setLaunchExtended(e.target.checked)}
+                className="mr-2 w-4 h-4"
+              />
+              🍝 Extended body
+            </label>
+            {launchExtended && (
+              <div className="text-xs text-gray-400 mt-1">
+                Launches a small cloud of points, each on its own geodesic, that tides stretch radially and squeeze sideways.
+              </div>
+            )}
+            {launchedParticles.length > 0 && (
+              <div className="flex items-center justify-between text-xs mt-2">
+                <span className="text-green-300">Launched: {launchedParticles.length} / {MAX_LAUNCHED_PARTICLES}</span>
+                <button
+                  onClick={() => {
+                    setSelectedParticle(null);
+                    setLaunchedParticles([]);
+                  }}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
           </div>
 
           <div className="border-t border-gray-600 pt-4">
@@ -868,6 +4308,50 @@ const GravitationalSink = () => {
             </div>
           </div>
           
+          <div className="space-y-2 border-t border-gray-600 pt-4">
+            <h4 className="text-sm font-semibold text-purple-300">📏 Units</h4>
+            <div className="flex gap-1">
+              {UNIT_SYSTEMS.map(({ key, label }) => (
+                <button
+                  key={key}
+                  onClick={() => setUnitSystem(key)}
+                  className={`flex-1 px-2 py-1 rounded text-xs ${
+                    unitSystem === key ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="text-xs text-gray-400">
+              {UNIT_SYSTEMS.find(({ key }) => key === unitSystem).desc}. Physical values take the hole to have
+              the physical mass below.
+            </div>
+            <label className="block text-sm font-medium">Physical Mass: {formatNumber(solarMasses, 3)} M☉</label>
+            <input
+              type="range"
+              min={Math.log10(SOLAR_MASS_RANGE.min)}
+              max={Math.log10(SOLAR_MASS_RANGE.max)}
+              step="0.05"
+              value={Math.log10(solarMasses)}
+              onChange={(e) => setSolarMasses(
+                Math.min(SOLAR_MASS_RANGE.max, Math.max(SOLAR_MASS_RANGE.min, 10 ** parseFloat(e.target.value)))
+              )}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+            />
+            <div className="flex gap-1">
+              {SOLAR_MASS_PRESETS.map(({ label, value }) => (
+                <button
+                  key={label}
+                  onClick={() => setSolarMasses(value)}
+                  className="flex-1 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          
           <div className="space-y-2 border-t border-gray-600 pt-4">
             <h4 className="text-sm font-semibold text-purple-300">🎭 Visualization</h4>
             {[
@@ -875,7 +4359,13 @@ const GravitationalSink = () => {
               { key: 'showHorizon', state: showHorizon, setter: setShowHorizon, label: '🔴 Event Horizon', desc: 'Point of no return' },
               { key: 'showTrajectories', state: showTrajectories, setter: setShowTrajectories, label: '🛤️ Geodesic Paths', desc: 'Particle trajectories' },
               { key: 'showParticles', state: showParticles, setter: setShowParticles, label: '⚡ Test Masses', desc: 'Accelerating particles' },
-              { key: 'showVelocityTrails', state: showVelocityTrails, setter: setShowVelocityTrails, label: '🌟 Velocity Trails', desc: 'Speed visualization' }
+              { key: 'showVelocityTrails', state: showVelocityTrails, setter: setShowVelocityTrails, label: '🌟 Velocity Trails', desc: 'Speed visualization' },
+              { key: 'showPhotonSphere', state: showPhotonSphere, setter: setShowPhotonSphere, label: '🟡 Photon Sphere', desc: 'Unstable light orbits at 1.5 rs' },
+              { key: 'showLightRays', state: showLightRays, setter: setShowLightRays, label: '💡 Light Rays', desc: 'Null geodesics from a source' },
+              { key: 'showLensedSky', state: showLensedSky, setter: setShowLensedSky, label: '🌌 Lensed Sky', desc: 'Background stars bent around the shadow' },
+              { key: 'showAccretionDisk', state: showAccretionDisk, setter: setShowAccretionDisk, label: '💿 Accretion Disk', desc: 'Thin disk from the ISCO, colored as seen' },
+              { key: 'showClocks', state: showClocks, setter: setShowClocks, label: '⏱️ Proper-Time Clocks', desc: 'Compare how fast particles age' },
+              { key: 'showTimeSeries', state: showTimeSeries, setter: setShowTimeSeries, label: '📊 Time Series', desc: 'Recent history of the selected particle' }
             ].map(({ key, state, setter, label, desc }) => (
               <label key={key} className="flex items-center cursor-pointer hover:bg-gray-800 p-2 rounded">
                 <input
@@ -891,9 +4381,510 @@ const GravitationalSink = () => {
               </label>
             ))}
           </div>
+          
+          {showVelocityTrails && (
+            <div className="bg-gray-800 p-3 rounded-lg border border-purple-500">
+              <h4 className="text-purple-300 font-bold mb-2">🌟 Trails</h4>
+              
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Length: {trailLength} steps ({(trailLength / SIMULATION_STEPS_PER_SECOND).toFixed(1)} s at 1×)</label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="400"
+                    step="10"
+                    value={trailLength}
+                    onChange={(e) => setTrailLength(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">Decay: {trailDecay.toFixed(1)}</label>
+                  <input
+                    type="range"
+                    min="0.2"
+                    max="5"
+                    step="0.1"
+                    value={trailDecay}
+                    onChange={(e) => setTrailDecay(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+                
+                <div className="flex gap-2">
+                  {[{ key: 'speed', label: 'Local Speed' }, { key: 'redshift', label: 'Redshift' }].map(({ key, label }) => (
+                    <button
+                      key={key}
+                      onClick={() => setTrailColorBy(key)}
+                      className={`flex-1 px-2 py-1 rounded text-xs ${
+                        trailColorBy === key ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {showAccretionDisk && diskProfile && (
+            <div className="bg-gray-800 p-3 rounded-lg border border-orange-500">
+              <h4 className="text-orange-300 font-bold mb-2">💿 Accretion Disk</h4>
+              
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Peak Temperature: {diskTemperature.toLocaleString()} K</label>
+                  <input
+                    type="range"
+                    min="3000"
+                    max="30000"
+                    step="500"
+                    value={diskTemperature}
+                    onChange={(e) => setDiskTemperature(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <div
+                    className="h-2 rounded mt-2"
+                    style={{
+                      background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map((x) => {
+                        const kelvin = BLACKBODY_RANGE.min * Math.pow(BLACKBODY_RANGE.max / BLACKBODY_RANGE.min, x);
+                        return `rgb(${blackbodyColor(kelvin).map(c => Math.round(c * 255)).join(',')})`;
+                      }).join(', ')})`
+                    }}
+                  />
+                  <div className="flex justify-between text-xs text-gray-400">
+                    <span>{BLACKBODY_RANGE.min.toLocaleString()} K</span>
+                    <span>{BLACKBODY_RANGE.max.toLocaleString()} K</span>
+                  </div>
+                </div>
+                
+                <div className="bg-gray-700 p-2 rounded text-xs">
+                  <div><strong className="text-orange-300">Inner Edge (ISCO):</strong> {units.length(diskProfile.inner)}</div>
+                  <div><strong className="text-orange-300">Hottest Ring:</strong> {units.length(diskProfile.peakRadius)}</div>
+                  <div><strong className="text-orange-300">Radiative Efficiency:</strong> {(diskProfile.efficiency * 100).toFixed(1)}%</div>
+                </div>
+                <div className="text-xs text-gray-400">
+                  Novikov–Thorne temperature profile, shifted by gravity and by the gas's orbital motion:
+                  the side moving towards the camera is brighter and bluer.
+                </div>
+              </div>
+            </div>
+          )}
+
+          {showLensedSky && (
+            <div className="bg-gray-800 p-3 rounded-lg border border-indigo-500">
+              <h4 className="text-indigo-300 font-bold mb-2">🌌 Lensed Sky</h4>
+              
+              <div className="space-y-3">
+                <div className="flex gap-2">
+                  <button
+                    onClick={clearSkyImage}
+                    className={`flex-1 px-2 py-1 rounded text-xs ${
+                      !skyImage ? 'bg-indigo-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    Starfield
+                  </button>
+                  <label
+                    className={`flex-1 px-2 py-1 rounded text-xs text-center cursor-pointer ${
+                      skyImage ? 'bg-indigo-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    Image…
+                    <input
+                      type="file"
+                      accept="image/*"
+                      className="hidden"
+                      onChange={(e) => { loadSkyImage(e.target.files[0]); e.target.value = ''; }}
+                    />
+                  </label>
+                </div>
+                {skyImageFailed && (
+                  <div className="text-xs text-red-300">
+                    That image could not be loaded, so the starfield is shown instead.
+                  </div>
+                )}
+                <div className="text-xs text-gray-400">
+                  Images should be equirectangular (2:1) panoramas.
+                  {spinParameter > 0 || chargeParameter > 0 ? ' Bending uses the Schwarzschild metric of the same mass.' : ''}
+                </div>
+                
+                {skyReadout && (
+                  <div className="bg-gray-700 p-2 rounded text-xs">
+                    <div><strong className="text-indigo-300">Camera Radius:</strong> {units.length(skyReadout.observerRadius * schwarzschildRadius / 2, 1)}</div>
+                    <div><strong className="text-indigo-300">Shadow Radius:</strong> {(skyReadout.shadowAngle * 180 / Math.PI).toFixed(2)}°</div>
+                    <div><strong className="text-indigo-300">Einstein Ring:</strong> {(skyReadout.ringAngle * 180 / Math.PI).toFixed(2)}°</div>
+                  </div>
+                )}
+                
+                {captureProgress ? (
+                  <button
+                    onClick={() => { capturingRef.current = false; }}
+                    className="w-full px-3 py-2 rounded text-sm bg-red-600 hover:bg-red-700"
+                  >
+                    Cancel ({captureProgress.done}/{captureProgress.total})
+                  </button>
+                ) : (
+                  <button
+                    onClick={renderSkyReference}
+                    disabled={isVideoRecording}
+                    className="w-full px-3 py-2 rounded text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                  >
+                    🧮 CPU Reference Render
+                  </button>
+                )}
+                <div className="text-xs text-gray-400">
+                  Renders the sky alone from the same table at the capture resolution, for checking the shader.
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-2 border-t border-gray-600 pt-4">
+            <h4 className="text-sm font-semibold text-purple-300">🕳️ Embedding</h4>
+            {EMBEDDING_MODES.map(({ key, label, desc }) => (
+              <label key={key} className="flex items-center cursor-pointer hover:bg-gray-800 p-2 rounded">
+                <input
+                  type="radio"
+                  name="embeddingMode"
+                  checked={embeddingMode === key}
+                  onChange={() => setEmbeddingMode(key)}
+                  className="mr-3 w-4 h-4 text-blue-600 bg-gray-700 border-gray-600 focus:ring-blue-500"
+                />
+                <div>
+                  <div className="text-sm font-medium">{label}</div>
+                  <div className="text-xs text-gray-400">{desc}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-2 border-t border-gray-600 pt-4">
+            <h4 className="text-sm font-semibold text-purple-300">🎥 Camera</h4>
+            {CAMERA_MODES.map(({ key, label, desc }) => (
+              <label key={key} className="flex items-center cursor-pointer hover:bg-gray-800 p-2 rounded">
+                <input
+                  type="radio"
+                  name="cameraMode"
+                  checked={cameraMode === key}
+                  onChange={() => setCameraMode(key)}
+                  className="mr-3 w-4 h-4 text-blue-600 bg-gray-700 border-gray-600 focus:ring-blue-500"
+                />
+                <div>
+                  <div className="text-sm font-medium">{label}</div>
+                  <div className="text-xs text-gray-400">{desc}</div>
+                </div>
+              </label>
+            ))}
+            {cameraMode === 'follow' && (
+              <div className="bg-gray-800 p-3 rounded-lg border border-purple-500 space-y-3">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Look</label>
+                  <div className="flex gap-1">
+                    {CAMERA_LOOK_DIRECTIONS.map(({ key, label }) => (
+                      <button
+                        key={key}
+                        onClick={() => setCameraLook(key)}
+                        className={`flex-1 px-2 py-1 rounded text-xs ${
+                          cameraLook === key ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <label className="flex items-center text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showAberration}
+                    onChange={(e) => setShowAberration(e.target.checked)}
+                    className="mr-2 w-4 h-4"
+                  />
+                  Relativistic aberration
+                </label>
+                <div className="text-xs text-gray-400">
+                  {selectedParticle === null
+                    ? 'Click a particle to ride along with it.'
+                    : `Riding particle #${selectedParticle + 1}. Aberration crowds the view toward the direction of motion at the particle's local speed.`}
+                </div>
+              </div>
+            )}
+          </div>
+          
+          {showLightRays && (
+            <div className="bg-gray-800 p-3 rounded-lg border border-yellow-500">
+              <h4 className="text-yellow-300 font-bold mb-2">💡 Light Source</h4>
+              
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Source Distance: {units.length(lightSourceDistance, 1)}</label>
+                  <input
+                    type="range"
+                    min="15"
+                    max="60"
+                    step="1"
+                    value={lightSourceDistance}
+                    onChange={(e) => setLightSourceDistance(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">Source Direction: {lightSourceAngle}°</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="359"
+                    step="1"
+                    value={lightSourceAngle}
+                    onChange={(e) => setLightSourceAngle(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Impact Parameters: {impactRange.min.toFixed(2)}–{impactRange.max.toFixed(2)} b<sub>c</sub>
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="4"
+                    step="0.01"
+                    value={impactRange.min}
+                    onChange={(e) => {
+                      const min = parseFloat(e.target.value);
+                      setImpactRange(prev => ({ min, max: Math.max(min, prev.max) }));
+                    }}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  <input
+                    type="range"
+                    min="0"
+                    max="4"
+                    step="0.01"
+                    value={impactRange.max}
+                    onChange={(e) => {
+                      const max = parseFloat(e.target.value);
+                      setImpactRange(prev => ({ min: Math.min(prev.min, max), max }));
+                    }}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer mt-2"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">Rays: {rayCount}</label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="41"
+                    step="1"
+                    value={rayCount}
+                    onChange={(e) => setRayCount(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+                
+                <div className="bg-gray-700 p-2 rounded text-xs">
+                  {photonSphereRadius(schwarzschildRadius / 2, spinParameter, chargeParameter) === null ? (
+                    <div><strong className="text-yellow-300">Photon Sphere:</strong> none, so no ray is captured into orbit</div>
+                  ) : (
+                    <>
+                      <div><strong className="text-yellow-300">Critical b<sub>c</sub>{spinParameter > 0 ? ' (prograde)' : chargeParameter > 0 ? '' : ' = 3√3 M'}:</strong> {units.length(criticalImpactParameter(schwarzschildRadius / 2, spinParameter, chargeParameter))}</div>
+                      <div><strong className="text-yellow-300">Photon {spinParameter > 0 ? 'Orbit (prograde)' : 'Sphere'}:</strong> {units.length(photonSphereRadius(schwarzschildRadius / 2, spinParameter, chargeParameter))}</div>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+          
+          <div className="space-y-2 border-t border-gray-600 pt-4">
+            <h4 className="text-sm font-semibold text-purple-300">💾 Scenes & Sharing</h4>
+            
+            <button
+              onClick={() => navigator.clipboard?.writeText(window.location.href)}
+              className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+            >
+              🔗 Copy Link to This Setup
+            </button>
+            
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={sceneName}
+                onChange={(e) => setSceneName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && saveScene()}
+                placeholder="Scene name"
+                className="flex-1 min-w-0 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm"
+              />
+              <button
+                onClick={saveScene}
+                className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm"
+              >
+                Save
+              </button>
+            </div>
+            
+            {savedScenes.map(({ name, savedAt, state }) => (
+              <div key={name} className="flex items-center gap-2 bg-gray-800 p-2 rounded text-xs">
+                <div className="flex-1 min-w-0">
+                  <div className="truncate font-medium">{name}</div>
+                  <div className="text-gray-400">{new Date(savedAt).toLocaleString()}</div>
+                </div>
+                <button
+                  onClick={() => applySharedState(state)}
+                  className="px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded"
+                >
+                  Load
+                </button>
+                <button
+                  onClick={() => updateSavedScenes(prev => prev.filter(scene => scene.name !== name))}
+                  className="px-2 py-1 bg-gray-700 hover:bg-red-600 rounded"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            
+            <div className="flex gap-2">
+              <button
+                onClick={exportScenes}
+                disabled={savedScenes.length === 0}
+                className="flex-1 px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-xs"
+              >
+                ⬇️ Export JSON
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="flex-1 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+              >
+                ⬆️ Import JSON
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={importScenes}
+                className="hidden"
+              />
+            </div>
+          </div>
+          
+          <div className="space-y-2 border-t border-gray-600 pt-4">
+            <h4 className="text-sm font-semibold text-purple-300">📼 Recording & Export</h4>
+            
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Sample Interval: {recordInterval} M
+              </label>
+              <input
+                type="range"
+                min="0.5"
+                max="20"
+                step="0.5"
+                value={recordInterval}
+                onChange={(e) => setRecordInterval(parseFloat(e.target.value))}
+                disabled={isRecording}
+                className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50"
+              />
+            </div>
+            
+            <div className="flex gap-3 text-sm">
+              {['csv', 'json'].map(format => (
+                <label key={format} className="flex items-center">
+                  <input
+                    type="radio"
+                    name="exportFormat"
+                    checked={exportFormat === format}
+                    onChange={() => setExportFormat(format)}
+                    className="mr-2"
+                  />
+                  {format.toUpperCase()}
+                </label>
+              ))}
+            </div>
+            
+            <div className="flex gap-2">
+              <button
+                onClick={isRecording ? stopRecording : startRecording}
+                className={`flex-1 px-3 py-2 rounded text-sm ${isRecording ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+              >
+                {isRecording ? '⏹ Stop' : '⏺ Record'}
+              </button>
+              <button
+                onClick={downloadRecording}
+                disabled={recordingRef.current.rows.length === 0}
+                className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm"
+              >
+                ⬇️ Samples
+              </button>
+            </div>
+            <div className="text-xs text-gray-400">
+              {recordingRef.current.rows.length} rows recorded{isRecording && !isPlaying ? ' (paused)' : ''}
+            </div>
+            
+            <button
+              onClick={exportTrajectories}
+              className="w-full px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+            >
+              ⬇️ Export Trajectories
+            </button>
+          </div>
         </div>
       </DraggablePanel>
 
+      <ParticleTooltip
+        interactionRef={interactionRef}
+        pointerRef={pointerRef}
+        physicsDataRef={physicsDataRef}
+        radiusHistoryRef={radiusHistoryRef}
+        schwarzschildRadius={schwarzschildRadius}
+        units={units}
+      />
+
+      {/* Effective Potential */}
+      {selectedParticle !== null && selectedTrajectory && (
+        <DraggablePanel 
+          title="📉 Effective Potential"
+          initialPosition={{ x: 360, y: 20 }}
+          initialSize={{ width: 360, height: 400 }}
+        >
+          <div className="space-y-3">
+            <EffectivePotentialChart
+              M={selectedTrajectory.M}
+              a={selectedTrajectory.a}
+              Q={selectedTrajectory.Q}
+              E={selectedTrajectory.E}
+              L={selectedTrajectory.L}
+              maxRadius={selectedPotentialRange}
+              getRadius={getSelectedRadius}
+            />
+            <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+              <div className="text-pink-300">━ GR V<sub>eff</sub></div>
+              <div className="text-blue-300">╍ Newtonian</div>
+              <div className="text-yellow-300">━ (E² − 1)/2</div>
+              <div className="text-white">● current r</div>
+              <div className="text-green-300">ISCO: {units.length(iscoRadius(selectedTrajectory.M, selectedOrbitSpin, selectedTrajectory.Q))}</div>
+              <div className="text-yellow-300">Photon orbit γ: {selectedPhotonRadius !== null ? units.length(selectedPhotonRadius) : 'none'}</div>
+            </div>
+            <div className="text-xs font-mono text-gray-300">
+              Turning points: {selectedTurningPoints.length > 0
+                ? selectedTurningPoints.map(r => units.length(r, 3)).join(', ')
+                : 'none'}
+            </div>
+            <div className="text-xs text-gray-400">
+              The particle moves where its energy line lies above V<sub>eff</sub>. Newtonian gravity has no
+              −ML²/r³ term, so it has no barrier peak and no plunge.
+            </div>
+          </div>
+        </DraggablePanel>
+      )}
+
       {/* Enhanced Physics Analysis */}
       <DraggablePanel 
         title="📈 Gravitational Physics Analysis"
@@ -906,11 +4897,29 @@ const GravitationalSink = () => {
               <div className="bg-yellow-900 bg-opacity-30 p-3 rounded-lg border border-yellow-500">
                 <div className="text-yellow-300 font-bold font-sans mb-2">
                   🎯 Particle #{selectedParticle + 1} Analysis
+                  {selectedTrajectory?.launchId != null && <span className="text-green-300 text-xs ml-2">launched</span>}
+                </div>
+                
+                <div className="flex gap-2 mb-3 font-sans">
+                  <button
+                    onClick={() => cloneParticle(selectedParticle)}
+                    className="flex-1 px-2 py-1 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+                  >
+                    📋 Clone
+                  </button>
+                  {selectedTrajectory?.launchId != null && (
+                    <button
+                      onClick={() => deleteParticle(selectedParticle)}
+                      className="flex-1 px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs"
+                    >
+                      🗑️ Delete
+                    </button>
+                  )}
                 </div>
                 
                 <div className="grid grid-cols-2 gap-1 text-xs">
                   <div className="text-gray-300">Distance:</div>
-                  <div className="text-cyan-300">{physicsDataRef.current[selectedParticle]?.radius?.toFixed(2) || 'N/A'} M</div>
+                  <div className="text-cyan-300">{physicsDataRef.current[selectedParticle] ? units.length(physicsDataRef.current[selectedParticle].radius) : 'N/A'}</div>
                   
                   <div className="text-gray-300">r/rs ratio:</div>
                   <div className={(physicsDataRef.current[selectedParticle]?.radius || 0) / schwarzschildRadius < 2 ? 'text-red-300' : 'text-green-300'}>
@@ -922,13 +4931,13 @@ const GravitationalSink = () => {
                   <div className="text-white font-semibold">🚀 Velocity Analysis:</div>
                   <div className="grid grid-cols-2 gap-1 text-xs">
                     <div>Local Speed:</div>
-                    <div className="text-orange-300 font-bold">{physicsDataRef.current[selectedParticle]?.localVelocity?.toFixed(3) || 'N/A'}c</div>
+                    <div className="text-orange-300 font-bold">{physicsDataRef.current[selectedParticle] ? units.speed(physicsDataRef.current[selectedParticle].localVelocity) : 'N/A'}</div>
                     
                     <div>Escape Velocity:</div>
-                    <div className="text-red-300">{physicsDataRef.current[selectedParticle]?.escapeVelocity?.toFixed(3) || 'N/A'}c</div>
+                    <div className="text-red-300">{physicsDataRef.current[selectedParticle] ? units.speed(physicsDataRef.current[selectedParticle].escapeVelocity) : 'N/A'}</div>
                     
                     <div>Angular ω:</div>
-                    <div className="text-purple-300">{physicsDataRef.current[selectedParticle]?.angularVelocity?.toFixed(4) || 'N/A'} rad/s</div>
+                    <div className="text-purple-300">{physicsDataRef.current[selectedParticle] ? units.rate(physicsDataRef.current[selectedParticle].angularVelocity) : 'N/A'}</div>
                   </div>
                 </div>
                 
@@ -942,21 +4951,123 @@ const GravitationalSink = () => {
                     <div className="text-red-300">{physicsDataRef.current[selectedParticle]?.redshift?.toFixed(3) || 'N/A'}</div>
                     
                     <div>Proper Velocity:</div>
-                    <div className="text-green-300">{physicsDataRef.current[selectedParticle]?.properVelocity?.toFixed(3) || 'N/A'}c</div>
+                    <div className="text-green-300">{physicsDataRef.current[selectedParticle] ? units.speed(physicsDataRef.current[selectedParticle].properVelocity) : 'N/A'}</div>
+                  </div>
+                </div>
+                
+                <div className="mt-3 space-y-1">
+                  <div className="text-white font-semibold">🛰️ Geodesic:</div>
+                  <div className="grid grid-cols-2 gap-1 text-xs">
+                    <div>Energy E:</div>
+                    <div className="text-yellow-300">{physicsDataRef.current[selectedParticle] ? units.specificEnergy(physicsDataRef.current[selectedParticle].energy) : 'N/A'}</div>
+                    
+                    <div>Ang. Momentum L:</div>
+                    <div className="text-purple-300">{physicsDataRef.current[selectedParticle] ? units.specificAngularMomentum(physicsDataRef.current[selectedParticle].angularMomentum) : 'N/A'}</div>
+                    
+                    <div>Proper Time τ:</div>
+                    <div className="text-cyan-300">{physicsDataRef.current[selectedParticle] ? units.time(physicsDataRef.current[selectedParticle].properTime) : 'N/A'}</div>
+                    
+                    <div>Coordinate Time t:</div>
+                    <div className="text-blue-300">{physicsDataRef.current[selectedParticle] ? units.time(physicsDataRef.current[selectedParticle].coordinateTime) : 'N/A'}</div>
+                    
+                    <div>Fate:</div>
+                    <div className="text-orange-300">{trajectoryDataRef.current[selectedParticle]?.fate || 'N/A'}</div>
+                    
+                    {spinParameter > 0 && (
+                      <>
+                        <div>Frame Dragging ω:</div>
+                        <div className="text-pink-300">{physicsDataRef.current[selectedParticle] ? units.rate(physicsDataRef.current[selectedParticle].frameDragging) : 'N/A'}</div>
+                      </>
+                    )}
                   </div>
                 </div>
                 
+                {selectedTrajectory && (
+                  <div className="mt-3 space-y-1">
+                    <div className="text-white font-semibold">🔄 Orbit:</div>
+                    <div className="grid grid-cols-2 gap-1 text-xs">
+                      <div>Class:</div>
+                      <div className="text-yellow-300">{selectedTrajectory.classification}</div>
+                      
+                      {selectedOrbit && (
+                        <>
+                          <div>Peri / Apoapsis:</div>
+                          <div className="text-green-300">{units.length(selectedOrbit.periapsis)} / {units.length(selectedOrbit.apoapsis)}</div>
+                          
+                          <div>Eccentricity e:</div>
+                          <div className="text-green-300">{selectedOrbit.eccentricity.toFixed(4)}</div>
+                          
+                          <div>Periapsis Passes:</div>
+                          <div className="text-cyan-300">{selectedPassages} of {selectedOrbit.passages.length}</div>
+                          
+                          <div>Last Orbit Δφ:</div>
+                          <div className="text-orange-300">{selectedLastPrecession !== null ? toDegrees(selectedLastPrecession) : '—'}</div>
+                          
+                          <div>Measured Δφ:</div>
+                          <div className="text-orange-300 font-bold">{toDegrees(selectedOrbit.precession)}</div>
+                          
+                          <div>GR 6πM/a(1−e²):</div>
+                          <div className="text-pink-300">
+                            {toDegrees(periapsisShift(selectedOrbit.semiMajorAxis, selectedOrbit.eccentricity, selectedTrajectory.M))}
+                          </div>
+                          
+                          <div>Newtonian:</div>
+                          <div className="text-blue-300">{toDegrees(0)}</div>
+                        </>
+                      )}
+                      
+                      <div>Radial Period T<sub>r</sub>:</div>
+                      <div className="text-purple-300">{selectedTrajectory.periods?.radial ? units.time(selectedTrajectory.periods.radial) : '—'}</div>
+                      
+                      <div>Azimuthal Period T<sub>φ</sub>:</div>
+                      <div className="text-purple-300">{selectedTrajectory.periods?.azimuthal ? units.time(selectedTrajectory.periods.azimuthal) : '—'}</div>
+                    </div>
+                    {selectedOrbit && (
+                      <div className="text-xs text-gray-400 font-sans">
+                        Δφ is the advance of periapsis per radial period. The GR formula is the weak-field Schwarzschild
+                        term; orbits close to the hole, or around a spinning or charged one, depart from it.
+                      </div>
+                    )}
+                  </div>
+                )}
+                
+                {selectedTides && (
+                  <div className="mt-3 space-y-1">
+                    <div className="text-white font-semibold">🍝 Tidal Forces:</div>
+                    <div className="grid grid-cols-2 gap-1 text-xs">
+                      <div>Radial Stretch 2M/r³:</div>
+                      <div className="text-red-300">{units.tidal(selectedTides.radial)}</div>
+                      
+                      <div>Tangential Squeeze −M/r³:</div>
+                      <div className="text-blue-300">{units.tidal(selectedTides.tangential)}</div>
+                      
+                      {physicalScale.tidalDisruption.map(({ key, label, radius, swallowed }) => (
+                        <React.Fragment key={key}>
+                          <div>{label} Torn Apart:</div>
+                          <div className={swallowed ? 'text-gray-400' : 'text-orange-300'}>
+                            {swallowed ? 'inside horizon' : `r < ${units.length(radius, 0)}`}
+                          </div>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                    <div className="text-xs text-gray-400 font-sans">
+                      Per unit length across a body falling radially into a Schwarzschild hole of the slider's mass.
+                      A body torn apart only inside the horizon is swallowed whole.
+                    </div>
+                  </div>
+                )}
+                
                 <div className="mt-3 space-y-1">
                   <div className="text-white font-semibold">⚡ Energy Analysis:</div>
                   <div className="grid grid-cols-2 gap-1 text-xs">
                     <div>Kinetic Energy:</div>
-                    <div className="text-yellow-300">{physicsDataRef.current[selectedParticle]?.kineticEnergy?.toFixed(3) || 'N/A'}</div>
+                    <div className="text-yellow-300">{physicsDataRef.current[selectedParticle] ? units.specificEnergy(physicsDataRef.current[selectedParticle].kineticEnergy, 3) : 'N/A'}</div>
                     
                     <div>Potential Energy:</div>
-                    <div className="text-blue-300">{physicsDataRef.current[selectedParticle]?.potentialEnergy?.toFixed(3) || 'N/A'}</div>
+                    <div className="text-blue-300">{physicsDataRef.current[selectedParticle] ? units.specificEnergy(physicsDataRef.current[selectedParticle].potentialEnergy, 3) : 'N/A'}</div>
                     
                     <div>Grav. Acceleration:</div>
-                    <div className="text-orange-300">{physicsDataRef.current[selectedParticle]?.gravAcceleration?.toFixed(2) || 'N/A'} m/s²</div>
+                    <div className="text-orange-300">{physicsDataRef.current[selectedParticle] ? units.acceleration(physicsDataRef.current[selectedParticle].gravAcceleration) : 'N/A'}</div>
                   </div>
                 </div>
               </div>
@@ -969,15 +5080,37 @@ const GravitationalSink = () => {
               
               <div className="bg-gray-800 p-3 rounded-lg">
                 <div className="grid grid-cols-2 gap-2 text-xs">
-                  <div>Central Mass:</div><div className="text-yellow-300">{mass.toFixed(1)} M☉</div>
+                  <div>Central Mass:</div><div className="text-yellow-300">{units.mass()}</div>
                   <div>Gravity Strength:</div><div className="text-orange-300">{gravityStrength.toFixed(1)}×</div>
-                  <div>Event Horizon:</div><div className="text-red-300">{schwarzschildRadius.toFixed(2)} M</div>
-                  <div>Sink Depth:</div><div className="text-blue-300">{maxCurvatureDepth.toFixed(1)} M</div>
+                  <div>Central Object:</div><div className="text-pink-300">{CENTRAL_OBJECTS.find(({ key }) => key === centralObject).label}</div>
+                  <div>Event Horizon:</div><div className="text-red-300">{horizons ? units.length(horizons.outer) : 'none (naked)'}</div>
+                  <div>Sink Depth:</div><div className="text-blue-300">{units.length(sinkDepth, 1)}</div>
                   <div>Test Particles:</div><div className="text-purple-300">{particlesRef.current.length}</div>
+                  <div>Dust Grains:</div><div className="text-purple-300">{dustRef.current ? dustRef.current.dust.count : 0}</div>
                   <div>System Status:</div><div className={isPlaying ? 'text-green-400' : 'text-red-400'}>{isPlaying ? '🟢 EVOLVING' : '🔴 FROZEN'}</div>
                 </div>
               </div>
               
+              <div className="bg-gray-800 p-3 rounded-lg">
+                <div className="text-indigo-300 font-semibold font-sans mb-2">🔭 Physical Scale ({formatNumber(solarMasses, 3)} M☉)</div>
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  <div>Horizon Radius:</div>
+                  <div className="text-red-300">{physicalScale.horizonKm !== null ? `${formatNumber(physicalScale.horizonKm)} km` : 'none'}</div>
+                  <div>ISCO Radius:</div><div className="text-green-300">{formatNumber(physicalScale.iscoKm)} km</div>
+                  <div>ISCO Orbital Period:</div><div className="text-purple-300">{formatNumber(physicalScale.iscoPeriodMs)} ms</div>
+                  <div>Hawking Temperature:</div>
+                  <div className="text-cyan-300">{physicalScale.hawkingTemperature !== null ? `${formatNumber(physicalScale.hawkingTemperature)} K` : 'none'}</div>
+                  {physicalScale.tidalDisruption.map(({ key, label, km, swallowed }) => (
+                    <React.Fragment key={key}>
+                      <div>{label} Torn Apart:</div>
+                      <div className={swallowed ? 'text-gray-400' : 'text-orange-300'}>
+                        {swallowed ? 'swallowed whole' : `${formatNumber(km)} km`}
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+              </div>
+              
               <div className="bg-blue-900 bg-opacity-30 p-3 rounded-lg border border-blue-500">
                 <div className="text-blue-300 font-semibold mb-2">🎯 How to Explore:</div>
                 <div className="text-xs space-y-1 text-gray-300">
@@ -1001,6 +5134,208 @@ const GravitationalSink = () => {
           </div>
         </div>
       </DraggablePanel>
+
+      {/* Selected particle history */}
+      {showTimeSeries && (
+        <DraggablePanel 
+          title="📊 Time Series"
+          initialPosition={{ x: 730, y: 560 }}
+          initialSize={{ width: 360, height: 520 }}
+        >
+          {selectedParticle !== null && selectedTrajectory ? (
+            <TimeSeriesCharts
+              trajectoryDataRef={trajectoryDataRef}
+              animationTimeRef={animationTimeRef}
+              particleIndex={selectedParticle}
+              schwarzschildRadius={schwarzschildRadius}
+              units={units}
+            />
+          ) : (
+            <div className="text-sm text-gray-400">Click a particle to chart its history.</div>
+          )}
+        </DraggablePanel>
+      )}
+
+      {/* Proper-time clocks */}
+      {showClocks && (
+        <DraggablePanel 
+          title="⏱️ Clocks"
+          initialPosition={{ x: 730, y: 20 }}
+          initialSize={{ width: 330, height: 520 }}
+        >
+          <div className="space-y-3">
+            <ClockComparison
+              trajectoryDataRef={trajectoryDataRef}
+              animationTimeRef={animationTimeRef}
+              clockStartRef={clockStartRef}
+              particleTotal={particleCount + launchedParticles.length}
+              formatTime={units.time}
+            />
+            <label className="flex items-center text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showClockLabels}
+                onChange={(e) => setShowClockLabels(e.target.checked)}
+                className="mr-2 w-4 h-4"
+              />
+              Clock labels on particles
+            </label>
+            <button
+              onClick={resetClocks}
+              className="w-full px-3 py-2 rounded text-sm bg-gray-700 hover:bg-gray-600"
+            >
+              Reset clocks
+            </button>
+          </div>
+        </DraggablePanel>
+      )}
+
+      {/* Light Ray Deflection */}
+      {showLightRays && (
+        <DraggablePanel 
+          title="🔦 Light Ray Deflection"
+          initialPosition={{ x: typeof window !== 'undefined' ? window.innerWidth - 350 : 350, y: 590 }}
+          initialSize={{ width: 330, height: 320 }}
+        >
+          <div className="font-mono text-xs space-y-1">
+            <div className="grid grid-cols-4 gap-1 text-gray-400 font-sans">
+              <div>b/b<sub>c</sub></div>
+              <div>Fate</div>
+              <div>δ</div>
+              <div>4M/b</div>
+            </div>
+            {rayReadout.map(({ impactParameter, classification, deflection, weakFieldDeflection }, i) => (
+              <div key={i} className="grid grid-cols-4 gap-1">
+                <div className="text-gray-300">{impactParameter.toFixed(3)}</div>
+                <div className={
+                  classification === 'captured' ? 'text-red-300' :
+                  classification === 'orbiting' ? 'text-yellow-300' : 'text-cyan-300'
+                }>
+                  {classification}
+                </div>
+                <div className="text-white">{deflection === null ? '—' : `${(deflection * 180 / Math.PI).toFixed(1)}°`}</div>
+                <div className="text-gray-400">{(weakFieldDeflection * 180 / Math.PI).toFixed(1)}°</div>
+              </div>
+            ))}
+            <div className="mt-3 text-gray-400 font-sans">
+              δ is measured between the ray's start and end points; 4M/b is the weak-field estimate.
+            </div>
+          </div>
+        </DraggablePanel>
+      )}
+
+      <DraggablePanel 
+        title="🎥 Capture"
+        initialPosition={{ x: 360, y: 440 }}
+        initialSize={{ width: 300, height: 420 }}
+      >
+        <div className="space-y-4 text-sm">
+          <div>
+            <label className="block font-medium mb-1">Resolution</label>
+            <select
+              value={captureResolution}
+              onChange={(e) => setCaptureResolution(e.target.value)}
+              className="w-full px-2 py-1 bg-gray-700 border border-gray-600 rounded"
+            >
+              {CAPTURE_RESOLUTIONS.map(({ key, label }) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          
+          <button
+            onClick={takeSnapshot}
+            disabled={captureProgress !== null}
+            className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded"
+          >
+            📷 PNG Snapshot
+          </button>
+          
+          <div className="space-y-2 border-t border-gray-600 pt-3">
+            <label className="block font-medium">
+              WebM Frame Rate: {videoFps} fps
+            </label>
+            <input
+              type="range"
+              min="15"
+              max="60"
+              step="5"
+              value={videoFps}
+              onChange={(e) => setVideoFps(parseInt(e.target.value))}
+              disabled={isVideoRecording || captureProgress !== null}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50"
+            />
+            <button
+              onClick={isVideoRecording ? stopVideoRecording : startVideoRecording}
+              disabled={captureProgress !== null || typeof MediaRecorder === 'undefined'}
+              className={`w-full px-3 py-2 rounded disabled:opacity-50 ${isVideoRecording ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+            >
+              {isVideoRecording ? '⏹ Stop & Download WebM' : '⏺ Record WebM'}
+            </button>
+            <div className="text-xs text-gray-400">Records the viewport in real time.</div>
+          </div>
+          
+          <div className="space-y-2 border-t border-gray-600 pt-3">
+            <div className="font-medium">Frame Sequence</div>
+            <label className="block">
+              Frames: {frameCount}
+            </label>
+            <input
+              type="range"
+              min="10"
+              max="1800"
+              step="10"
+              value={frameCount}
+              onChange={(e) => setFrameCount(parseInt(e.target.value))}
+              disabled={captureProgress !== null}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50"
+            />
+            <label className="block">
+              dt per Frame: {frameStep} M
+            </label>
+            <input
+              type="range"
+              min="0.1"
+              max="5"
+              step="0.1"
+              value={frameStep}
+              onChange={(e) => setFrameStep(parseFloat(e.target.value))}
+              disabled={captureProgress !== null}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer disabled:opacity-50"
+            />
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={frameFromStart}
+                onChange={(e) => setFrameFromStart(e.target.checked)}
+                disabled={captureProgress !== null}
+                className="mr-2"
+              />
+              Start from t = 0 with empty trails
+            </label>
+            {captureProgress ? (
+              <button
+                onClick={() => { capturingRef.current = false; }}
+                className="w-full px-3 py-2 bg-red-600 hover:bg-red-700 rounded"
+              >
+                Cancel ({captureProgress.done}/{captureProgress.total})
+              </button>
+            ) : (
+              <button
+                onClick={renderFrameSequence}
+                disabled={isVideoRecording || typeof MediaRecorder === 'undefined'}
+                className="w-full px-3 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 rounded"
+              >
+                🎞️ Render {frameCount} Frames
+              </button>
+            )}
+            <div className="text-xs text-gray-400">
+              Renders each frame at a fixed dt into one WebM at the frame rate above, so it takes as long as
+              it plays: {(frameCount / videoFps).toFixed(0)} s for {frameCount} frames.
+            </div>
+          </div>
+        </div>
+      </DraggablePanel>
     </div>
   );
 };
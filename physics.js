@@ -0,0 +1,866 @@
+// Schwarzschild, equatorial Kerr and Reissner–Nordström geodesics (geometric units, G = c = 1, scene
+// units of length). Equatorial orbits are integrated in proper time τ with the state [t, r, φ, dr/dτ];
+// E and L are the conserved energy and angular momentum per unit rest mass of a neutral test particle.
+// Null geodesics (epsilon = 0) use an affine parameter in place of τ, with E = 1 and L = b.
+// The optional spin a (Boyer–Lindquist, in length units, |a| ≤ M) and charge Q (length units) default
+// to an uncharged, non-rotating hole. A negative a describes the same hole seen by an orbit running
+// against its rotation. The closed-form radii below take either spin or charge, not both.
+
+// Coordinate time t diverges at the horizon, so it is only accumulated down to this radius
+// (in units of the outer horizon radius)
+const COORDINATE_TIME_CUTOFF = 1.001;
+
+// Metric quantities for a hole of mass M
+const schwarzschildRadius = (M) => 2 * M;
+
+// Rate of a static clock at r relative to one far away, dτ/dt = √f with f = 1 − 2M/r + Q²/r²
+const staticTimeDilation = (r, M, Q = 0) => Math.sqrt(1 - 2 * M / r + Q * Q / (r * r));
+
+// Redshift z of light sent from a static source at r to a distant observer
+const gravitationalRedshift = (r, M, Q = 0) => 1 / staticTimeDilation(r, M, Q) - 1;
+
+// Escape speed (fraction of c) measured by a static observer at r, √(1 − f). Charge makes gravity
+// repulsive inside r = Q²/2M, where nothing needs to escape.
+const escapeVelocity = (r, M, Q = 0) => Math.sqrt(Math.max(0, 2 * M / r - Q * Q / (r * r)));
+
+// Tidal acceleration per unit separation across a body falling radially into a Schwarzschild hole,
+// measured in its own frame: a radial stretch of 2M/r³ and a tangential squeeze of −M/r³
+const tidalAccelerations = (r, M) => {
+  const scale = M / (r * r * r);
+  return { radial: 2 * scale, tangential: -scale };
+};
+
+// Radius inside which the radial stretch across a body of the given length exceeds the acceleration
+// holding it together, r = (2M·length / maxAcceleration)^⅓ (length and 1/maxAcceleration in units of M)
+const tidalDisruptionRadius = (M, length, maxAcceleration) => Math.cbrt(2 * M * length / maxAcceleration);
+
+// Equatorial metric functions Δ = r² − 2Mr + a² + Q² and A = (r² + a²)² − a²Δ, in the Kerr–Newman
+// form that covers all three holes
+const kerrDelta = (r, M, a, Q = 0) => r * r - 2 * M * r + a * a + Q * Q;
+const kerrA = (r, M, a, Q = 0) => (r * r + a * a) ** 2 - a * a * kerrDelta(r, M, a, Q);
+
+// Outer (event) and inner (Cauchy) horizons, the roots of Δ; null for a naked singularity
+const horizonRadii = (M, a = 0, Q = 0) => {
+  const discriminant = M * M - a * a - Q * Q;
+  if (discriminant < 0) return null;
+  const root = Math.sqrt(discriminant);
+  return { outer: M + root, inner: M - root };
+};
+
+// Surface gravity κ = (r₊ − r₋) / 2(r₊² + a²) of the outer horizon, 1/4M without spin or charge;
+// zero for an extremal hole and null for a naked singularity
+const surfaceGravity = (M, a = 0, Q = 0) => {
+  const horizons = horizonRadii(M, a, Q);
+  if (!horizons) return null;
+  return (horizons.outer - horizons.inner) / (2 * (horizons.outer * horizons.outer + a * a));
+};
+
+// Boundary of the ergosphere at polar angle θ from the spin axis; it touches the outer horizon at the poles
+const ergosphereRadius = (M, a, theta) => M + Math.sqrt(Math.max(0, M * M - a * a * Math.cos(theta) ** 2));
+
+// Angular velocity ω = dφ/dt of the locally non-rotating observers dragged around by the hole
+const frameDraggingRate = (r, M, a = 0, Q = 0) => a * (2 * M * r - Q * Q) / kerrA(r, M, a, Q);
+
+// Unstable circular photon orbits, and the innermost stable circular orbit of massive particles.
+// With spin both move inwards for prograde orbits (a > 0) and outwards for retrograde ones (a < 0).
+// Charge pulls both inwards; above Q² = 9M²/8 there is no photon sphere at all (null).
+const photonSphereRadius = (M, a = 0, Q = 0) => {
+  if (Q !== 0) {
+    if (a !== 0) return NaN;
+    const discriminant = 9 * M * M - 8 * Q * Q;
+    return discriminant < 0 ? null : (3 * M + Math.sqrt(discriminant)) / 2;
+  }
+  return a === 0 ? 3 * M : 2 * M * (1 + Math.cos(2 / 3 * Math.acos(-a / M)));
+};
+
+const iscoRadius = (M, a = 0, Q = 0) => {
+  if (Q !== 0) {
+    if (a !== 0) return NaN;
+    // Outermost root of Mr³ − 6M²r² + 9MQ²r − 4Q⁴ above r = Q²/M, where circular orbits stop existing.
+    // Without one every circular orbit is stable down to there.
+    const stability = (r) => M * r ** 3 - 6 * M * M * r * r + 9 * M * Q * Q * r - 4 * Q ** 4;
+    const rMin = Q * Q / M;
+    const step = 0.01 * M;
+    for (let hi = 8 * M; hi - step > rMin; hi -= step) {
+      let lo = hi - step;
+      if (stability(lo) > 0) continue;
+      let top = hi;
+      for (let k = 0; k < 60; k++) {
+        const mid = (lo + top) / 2;
+        if (stability(mid) > 0) top = mid; else lo = mid;
+      }
+      return (lo + top) / 2;
+    }
+    return rMin;
+  }
+  const chi = a / M;
+  const z1 = 1 + Math.cbrt(1 - chi * chi) * (Math.cbrt(1 + chi) + Math.cbrt(1 - chi));
+  const z2 = Math.sqrt(3 * chi * chi + z1 * z1);
+  return M * (3 + z2 - Math.sign(chi) * Math.sqrt((3 - z1) * (3 + z1 + 2 * z2)));
+};
+
+// (dr/dτ)² on the equator: R(r)/r⁴ with R = P² − Δ(εr² + (L − aE)²) and P = E(r² + a²) − aL
+const radialVelocitySquared = (r, M, E, L, epsilon = 1, a = 0, Q = 0) => {
+  const P = E * (r * r + a * a) - a * L;
+  const K = L - a * E;
+  return (P * P - kerrDelta(r, M, a, Q) * (epsilon * r * r + K * K)) / (r * r * r * r);
+};
+
+// Effective potential in the E² convention: (dr/dτ)² = E² − V(r). With spin R is quadratic in E, and
+// V is the square of its larger root, so turning points are still where E² = V.
+const effectivePotential = (r, M, L, epsilon = 1, a = 0, Q = 0) => {
+  if (a === 0) return (1 - 2 * M / r + Q * Q / (r * r)) * (epsilon + (L * L) / (r * r));
+  const delta = kerrDelta(r, M, a, Q);
+  const A = kerrA(r, M, a, Q);
+  const B = (2 * M * r - Q * Q) * a * L;
+  const C = a * a * L * L - delta * (epsilon * r * r + L * L);
+  const E = (B + Math.sqrt(Math.max(0, B * B - A * C))) / A;
+  return E * E;
+};
+
+// Photons with a smaller impact parameter are captured; at exactly b_c they orbit the photon sphere.
+// A charged hole without a photon sphere captures only radial rays (b_c = 0).
+const criticalImpactParameter = (M, a = 0, Q = 0) => {
+  if (Q !== 0) {
+    const r = photonSphereRadius(M, a, Q);
+    return r === null ? 0 : r / staticTimeDilation(r, M, Q);
+  }
+  return -a + 6 * M * Math.cos(Math.acos(-a / M) / 3);
+};
+
+const circularAngularMomentum = (r, M) => Math.sqrt(M * r * r / (r - 3 * M));
+
+// Newtonian counterpart of (V − 1) / 2: −M/r + L²/2r²
+const newtonianPotential = (r, M, L) => -M / r + (L * L) / (2 * r * r);
+
+// Radii of the stable (outer) and unstable (inner) circular orbits for angular momentum L, if any.
+// With spin or charge they are the minimum and maximum of V, located by scanning outward from the
+// horizon. Around a naked singularity a further well can sit inside the barrier, and the stable
+// orbit may have no unstable partner at all (null).
+const circularOrbitRadii = (M, L, a = 0, Q = 0) => {
+  if (a !== 0 || Q !== 0) {
+    const V = (r) => effectivePotential(r, M, L, 1, a, Q);
+    const horizon = horizonRadii(M, a, Q);
+    const rMin = horizon ? horizon.outer * 1.01 : 0.1 * M;
+    const rMax = Math.max(50 * M, 4 * L * L / M);
+    const steps = 400;
+    const radii = Array.from({ length: steps + 1 }, (_, i) => rMin * Math.pow(rMax / rMin, i / steps));
+    const extremum = (i, sign) => {
+      let lo = radii[i - 1];
+      let hi = radii[i + 1];
+      for (let k = 0; k < 60; k++) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if (sign * V(m1) > sign * V(m2)) hi = m2; else lo = m1;
+      }
+      return (lo + hi) / 2;
+    };
+    let unstable = null;
+    let stable = null;
+    for (let i = 1; i < steps; i++) {
+      const [before, here, after] = [V(radii[i - 1]), V(radii[i]), V(radii[i + 1])];
+      if (unstable === null && here > before && here >= after) unstable = extremum(i, 1);
+      else if (here < before && here <= after) {
+        stable = extremum(i, -1);
+        if (unstable !== null) break;
+      }
+    }
+    return stable === null ? null : { stable, unstable };
+  }
+  const discriminant = 1 - 12 * M * M / (L * L);
+  if (!(discriminant >= 0)) return null;
+  const scale = L * L / (2 * M);
+  return { stable: scale * (1 + Math.sqrt(discriminant)), unstable: scale * (1 - Math.sqrt(discriminant)) };
+};
+
+// Radii in [rMin, rMax] where V(r) = E², found by scanning for sign changes and bisecting
+const turningPoints = (M, E, L, rMin, rMax, steps = 400, a = 0, Q = 0) => {
+  const g = (r) => E * E - effectivePotential(r, M, L, 1, a, Q);
+  const roots = [];
+  let left = rMin;
+  for (let i = 1; i <= steps; i++) {
+    const right = rMin + (rMax - rMin) * i / steps;
+    if (g(left) === 0) roots.push(left);
+    else if (g(left) * g(right) < 0) {
+      let lo = left;
+      let hi = right;
+      for (let k = 0; k < 60; k++) {
+        const mid = (lo + hi) / 2;
+        if (g(lo) * g(mid) <= 0) hi = mid; else lo = mid;
+      }
+      roots.push((lo + hi) / 2);
+    }
+    left = right;
+  }
+  return roots;
+};
+
+// E and L of the circular orbit at r, prograde for a ≥ 0 (Bardeen, Press & Teukolsky 1972)
+const circularOrbitInvariants = (r, M, a = 0, Q = 0) => {
+  if (Q !== 0) {
+    if (a !== 0) return { E: NaN, L: NaN };
+    const L = r * Math.sqrt((M * r - Q * Q) / (r * r - 3 * M * r + 2 * Q * Q));
+    return { E: Math.sqrt(effectivePotential(r, M, L, 1, 0, Q)), L };
+  }
+  const sqrtM = Math.sqrt(M);
+  const denominator = Math.pow(r, 0.75) * Math.sqrt(Math.pow(r, 1.5) - 3 * M * Math.sqrt(r) + 2 * a * sqrtM);
+  return {
+    E: (Math.pow(r, 1.5) - 2 * M * Math.sqrt(r) + a * sqrtM) / denominator,
+    L: sqrtM * (r * r - 2 * a * Math.sqrt(M * r) + a * a) / denominator
+  };
+};
+
+// E and L of the bound orbit with the given periapsis and apoapsis
+const orbitFromTurningPoints = (periapsis, apoapsis, M, a = 0, Q = 0) => {
+  if (a !== 0 || Q !== 0) {
+    if (Math.abs(apoapsis - periapsis) < 1e-9 * apoapsis) return circularOrbitInvariants(apoapsis, M, a, Q);
+    // L at which both radii are turning points of the same E, taking the largest such L
+    const energyAt = (r, L) => Math.sqrt(effectivePotential(r, M, L, 1, a, Q));
+    const mismatch = (L) => energyAt(apoapsis, L) - energyAt(periapsis, L);
+    const steps = 400;
+    const Lmax = 2 * apoapsis;
+    for (let i = steps - 1; i >= 0; i--) {
+      let lo = Lmax * i / steps;
+      if (mismatch(lo) < 0) continue;
+      let hi = Lmax * (i + 1) / steps;
+      for (let k = 0; k < 60; k++) {
+        const mid = (lo + hi) / 2;
+        if (mismatch(mid) >= 0) lo = mid; else hi = mid;
+      }
+      const L = (lo + hi) / 2;
+      return { E: energyAt(apoapsis, L), L };
+    }
+    // No such orbit (the periapsis lies inside the ISCO); fall back to the Schwarzschild one
+    return orbitFromTurningPoints(periapsis, apoapsis, M);
+  }
+  if (Math.abs(apoapsis - periapsis) < 1e-9 * apoapsis) {
+    const L = circularAngularMomentum(apoapsis, M);
+    return { E: Math.sqrt(effectivePotential(apoapsis, M, L)), L };
+  }
+  const g = (r) => (1 - 2 * M / r) / (r * r);
+  const L = Math.sqrt((2 * M / periapsis - 2 * M / apoapsis) / (g(periapsis) - g(apoapsis)));
+  return { E: Math.sqrt(effectivePotential(apoapsis, M, L)), L };
+};
+
+// The result is written into out when one is given, so batched callers need not allocate
+const geodesicDerivatives = ([, r, , ur], M, E, L, epsilon, tCutoffRadius, a = 0, Q = 0, out = new Array(4)) => {
+  const r2 = r * r;
+  if (a === 0) {
+    out[0] = r > tCutoffRadius ? E / (1 - 2 * M / r + Q * Q / r2) : 0;
+    out[1] = ur;
+    out[2] = L / r2;
+    out[3] = -epsilon * M / r2 + (L * L) / (r2 * r) - 3 * M * L * L / (r2 * r2) +
+      Q * Q * (epsilon / (r2 * r) + 2 * L * L / (r2 * r2 * r));
+    return out;
+  }
+  // Kerr: r² dt/dτ = −a(aE − L) + (r² + a²)P/Δ, r² dφ/dτ = −(aE − L) + aP/Δ and d²r/dτ² = ½ d(R/r⁴)/dr
+  const delta = kerrDelta(r, M, a, Q);
+  const P = E * (r2 + a * a) - a * L;
+  const K = L - a * E;
+  const R = P * P - delta * (epsilon * r2 + K * K);
+  const dR = 4 * E * r * P - (2 * r - 2 * M) * (epsilon * r2 + K * K) - 2 * epsilon * r * delta;
+  out[0] = r > tCutoffRadius ? (a * K + (r2 + a * a) * P / delta) / r2 : 0;
+  out[1] = ur;
+  out[2] = (K + a * P / delta) / r2;
+  out[3] = 0.5 * (dR / (r2 * r2) - 4 * R / (r2 * r2 * r));
+  return out;
+};
+
+// Dormand–Prince 5(4) step; returns the 5th-order solution and the embedded error estimate
+const dormandPrinceStep = (f, y, h) => {
+  const add = (...terms) => y.map((yi, i) => terms.reduce((sum, [c, k]) => sum + h * c * k[i], yi));
+  const k1 = f(y);
+  const k2 = f(add([1 / 5, k1]));
+  const k3 = f(add([3 / 40, k1], [9 / 40, k2]));
+  const k4 = f(add([44 / 45, k1], [-56 / 15, k2], [32 / 9, k3]));
+  const k5 = f(add([19372 / 6561, k1], [-25360 / 2187, k2], [64448 / 6561, k3], [-212 / 729, k4]));
+  const k6 = f(add([9017 / 3168, k1], [-355 / 33, k2], [46732 / 5247, k3], [49 / 176, k4], [-5103 / 18656, k5]));
+  const next = add([35 / 384, k1], [500 / 1113, k3], [125 / 192, k4], [-2187 / 6784, k5], [11 / 84, k6]);
+  const k7 = f(next);
+  const error = y.map((_, i) => h * (
+    71 / 57600 * k1[i] - 71 / 16695 * k3[i] + 71 / 1920 * k4[i]
+    - 17253 / 339200 * k5[i] + 22 / 525 * k6[i] - 1 / 40 * k7[i]
+  ));
+  return { next, error };
+};
+
+// Integrates a timelike or null geodesic until it escapes, falls through the horizon or runs out of proper time.
+// Each sample carries τ, t, r, φ, dr/dτ and a monotonic playback time: coordinate time outside the
+// horizon, continued with proper time once t stops being accumulated.
+const integrateGeodesic = ({
+  M, r0, E, L, phi0 = 0, inward = true, epsilon = 1, a = 0, Q = 0,
+  escapeRadius = Math.max(4 * r0, 80 * M),
+  maxProperTime = 12 * Math.PI * Math.sqrt(Math.pow(r0, 3) / M),
+  tolerance = 1e-8,
+  maxSteps = 20000
+}) => {
+  // A naked singularity has no horizon; paths that reach the core itself end there
+  const horizon = horizonRadii(M, a, Q)?.outer ?? 0;
+  const tCutoffRadius = horizon * COORDINATE_TIME_CUTOFF;
+  // Boyer–Lindquist φ winds up without bound at a spinning hole's horizon, and inside a charged one r
+  // turns around beyond the inner horizon, so those stop just outside the outer horizon
+  const stopRadius = horizon === 0 ? 0.02 * M : a === 0 && Q === 0 ? horizon * 0.5 : tCutoffRadius;
+  const ur0 = (inward ? -1 : 1) * Math.sqrt(Math.max(0, radialVelocitySquared(r0, M, E, L, epsilon, a, Q)));
+  const f = (y) => geodesicDerivatives(y, M, E, L, epsilon, tCutoffRadius, a, Q);
+
+  let y = [0, r0, phi0, ur0];
+  let tau = 0;
+  let h = 0.01 * r0 * Math.sqrt(r0 / M);
+  let horizonCrossing = null;
+  let cutoff = null;
+  let fate = 'bound';
+  const samples = [{ tau, t: 0, r: r0, phi: phi0, ur: ur0, playbackTime: 0 }];
+
+  for (let step = 0; step < maxSteps && tau < maxProperTime; step++) {
+    const r = y[1];
+    // Keep samples dense enough to draw the path and to interpolate positions between them
+    const hMax = Math.min(
+      0.02 * r * Math.sqrt(r / M),
+      Math.abs(L) > 0 ? 0.05 * r * r / Math.abs(L) : Infinity,
+      Math.abs(y[3]) > 0 ? 0.05 * r / Math.abs(y[3]) : Infinity
+    );
+    h = Math.min(h, hMax, maxProperTime - tau);
+
+    const { next, error } = dormandPrinceStep(f, y, h);
+    const errorNorm = Math.max(...error.map((e, i) =>
+      Math.abs(e) / (tolerance + tolerance * Math.max(Math.abs(y[i]), Math.abs(next[i])))
+    ));
+
+    if (errorNorm > 1 || !next.every(Number.isFinite)) {
+      h *= Math.max(0.1, 0.9 * Math.pow(errorNorm, -0.2) || 0.1);
+      continue;
+    }
+
+    const previousR = y[1];
+    y = next;
+    tau += h;
+
+    if (!horizonCrossing && y[1] <= horizon) {
+      const s = (previousR - horizon) / (previousR - y[1]);
+      horizonCrossing = { tau: tau - (1 - s) * h, t: y[0] };
+    }
+    if (!cutoff && y[1] <= tCutoffRadius) {
+      cutoff = { tau, t: y[0] };
+    }
+    h *= Math.min(5, 0.9 * Math.pow(Math.max(errorNorm, 1e-10), -0.2));
+
+    samples.push({
+      tau,
+      t: y[0],
+      r: y[1],
+      phi: y[2],
+      ur: y[3],
+      playbackTime: cutoff ? cutoff.t + (tau - cutoff.tau) : y[0]
+    });
+
+    if (y[1] <= stopRadius) {
+      fate = 'plunge';
+      break;
+    }
+    if (y[1] >= escapeRadius && y[3] > 0) {
+      fate = 'escape';
+      break;
+    }
+  }
+
+  return { M, a, Q, E, L, samples, fate, horizonCrossing };
+};
+
+// Linear interpolation of a geodesic at the given playback time
+const sampleGeodesic = (samples, playbackTime) => {
+  let lo = 0;
+  let hi = samples.length - 1;
+  if (playbackTime <= samples[0].playbackTime) return { index: 0, fraction: 0 };
+  if (playbackTime >= samples[hi].playbackTime) return { index: hi, fraction: 0 };
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].playbackTime <= playbackTime) lo = mid; else hi = mid;
+  }
+  const span = samples[hi].playbackTime - samples[lo].playbackTime;
+  return { index: lo, fraction: span > 0 ? (playbackTime - samples[lo].playbackTime) / span : 0 };
+};
+
+// A dust cloud: many timelike particles, each given as { r0, phi0, E, L, inward }, kept in parallel typed
+// arrays and advanced together in coordinate time t. A particle that reaches the capture radius, just
+// outside the horizon (or near the core of a naked singularity), is marked captured and stops there.
+const createDust = (particles, M, a = 0, Q = 0) => {
+  const count = particles.length;
+  const horizon = horizonRadii(M, a, Q)?.outer ?? 0;
+  const dust = {
+    M, a, Q, count, t: 0,
+    captureRadius: horizon === 0 ? 0.02 * M : horizon * 1.01,
+    r: new Float64Array(count),
+    phi: new Float64Array(count),
+    ur: new Float64Array(count),
+    tau: new Float64Array(count),
+    E: new Float64Array(count),
+    L: new Float64Array(count),
+    captured: new Uint8Array(count)
+  };
+  particles.forEach(({ r0, phi0 = 0, E, L, inward = true }, i) => {
+    dust.r[i] = r0;
+    dust.phi[i] = phi0;
+    dust.ur[i] = (inward ? -1 : 1) * Math.sqrt(Math.max(0, radialVelocitySquared(r0, M, E, L, 1, a, Q)));
+    dust.E[i] = E;
+    dust.L[i] = L;
+    dust.captured[i] = r0 <= dust.captureRadius ? 1 : 0;
+  });
+  return dust;
+};
+
+// One classical Runge–Kutta step of dt in coordinate time for every particle of a dust cloud, with
+// d/dt = (dt/dτ)⁻¹ d/dτ applied to r, φ, dr/dτ and τ
+const advanceDust = (dust, dt) => {
+  const { M, a, Q, count, r, phi, ur, tau, E, L, captured, captureRadius } = dust;
+  // Scratch reused for every particle: the state handed to the derivatives, their result and the four stages
+  const y = [0, 0, 0, 0];
+  const derivatives = [0, 0, 0, 0];
+  const k = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+  const rates = (stage, ri, uri, Ei, Li) => {
+    y[1] = ri;
+    y[3] = uri;
+    geodesicDerivatives(y, M, Ei, Li, 1, 0, a, Q, derivatives);
+    const tDot = derivatives[0];
+    stage[0] = uri / tDot;
+    stage[1] = derivatives[2] / tDot;
+    stage[2] = derivatives[3] / tDot;
+    stage[3] = 1 / tDot;
+  };
+  const [k1, k2, k3, k4] = k;
+  const step = (j) => dt / 6 * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]);
+
+  for (let i = 0; i < count; i++) {
+    if (captured[i]) continue;
+    rates(k1, r[i], ur[i], E[i], L[i]);
+    rates(k2, r[i] + 0.5 * dt * k1[0], ur[i] + 0.5 * dt * k1[2], E[i], L[i]);
+    rates(k3, r[i] + 0.5 * dt * k2[0], ur[i] + 0.5 * dt * k2[2], E[i], L[i]);
+    rates(k4, r[i] + dt * k3[0], ur[i] + dt * k3[2], E[i], L[i]);
+    const nextR = r[i] + step(0);
+    const nextPhi = phi[i] + step(1);
+    const nextUr = ur[i] + step(2);
+    const nextTau = tau[i] + step(3);
+
+    // A step that reaches into the horizon ends the particle where it last was
+    if (!(nextR > captureRadius) || !Number.isFinite(nextPhi + nextUr + nextTau)) {
+      captured[i] = 1;
+      continue;
+    }
+    r[i] = nextR;
+    phi[i] = nextPhi;
+    ur[i] = nextUr;
+    tau[i] = nextTau;
+  }
+  dust.t += dt;
+};
+
+// Local speed of each free grain, as in localObservables, written into speeds through one reused frame
+// and velocity; captured grains are left as they were
+const dustSpeeds = (dust, speeds = new Float64Array(dust.count)) => {
+  const { M, a, Q, r, ur, E, L, captured } = dust;
+  const frame = {};
+  const velocity = new Array(3);
+  for (let i = 0; i < dust.count; i++) {
+    if (captured[i]) continue;
+    localFrame(r[i], M, a, Q, frame);
+    localVelocityComponents(r[i], ur[i], M, E[i], L[i], a, Q, frame, velocity);
+    speeds[i] = Math.min(Math.hypot(velocity[0], velocity[1]), MAX_LOCAL_SPEED);
+  }
+  return speeds;
+};
+
+// Periapsis advance per orbit to first order in M/p, with semi-latus rectum p = a(1 − e²)
+const periapsisShift = (semiMajorAxis, eccentricity, M) =>
+  6 * Math.PI * M / (semiMajorAxis * (1 - eccentricity * eccentricity));
+
+// Periapsis passages of an integrated geodesic (dr/dτ turning from negative to positive), each with its
+// interpolated proper time, coordinate time and φ
+const periapsisPassages = ({ samples }) => {
+  const passages = [];
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    if (a.ur < 0 && b.ur >= 0) {
+      const s = a.ur / (a.ur - b.ur);
+      passages.push({ tau: a.tau + (b.tau - a.tau) * s, t: a.t + (b.t - a.t) * s, phi: a.phi + (b.phi - a.phi) * s });
+    }
+  }
+  return passages;
+};
+
+// Mean periapsis advance per orbit of an integrated geodesic, from the φ of successive periapsis
+// passages; null with fewer than two passages
+const measurePrecession = (geodesic) => {
+  const passages = periapsisPassages(geodesic);
+  if (passages.length < 2) return null;
+  return Math.abs(passages[passages.length - 1].phi - passages[0].phi) / (passages.length - 1) - 2 * Math.PI;
+};
+
+// Relative spread of r below which a bound orbit counts as circular
+const CIRCULAR_ORBIT_SPREAD = 1e-3;
+
+// Plunging paths end at the horizon (or a naked core); unbound ones (E ≥ 1) scatter back out; the
+// rest are bound, and circular when r hardly varies
+const classifyOrbit = ({ samples, fate, E }) => {
+  if (fate === 'plunge') return 'plunging';
+  if (E >= 1) return 'scattering';
+  let rMin = Infinity;
+  let rMax = 0;
+  for (const { r } of samples) {
+    rMin = Math.min(rMin, r);
+    rMax = Math.max(rMax, r);
+  }
+  return (rMax - rMin) / (rMax + rMin) < CIRCULAR_ORBIT_SPREAD ? 'circular' : 'bound';
+};
+
+// Shape and periods of a bound orbit measured from its periapsis passages. The radial period T_r is
+// the mean coordinate time from one passage to the next, over which φ sweeps 2π plus the advance,
+// so the azimuthal period is T_φ = 2π T_r / (2π + advance). Null with fewer than two passages.
+const measureOrbit = (geodesic) => {
+  const passages = periapsisPassages(geodesic);
+  if (passages.length < 2) return null;
+
+  const orbits = passages.length - 1;
+  const first = passages[0];
+  const last = passages[orbits];
+  const sweep = Math.abs(last.phi - first.phi) / orbits;
+  const radialPeriod = (last.t - first.t) / orbits;
+  let periapsis = Infinity;
+  let apoapsis = 0;
+  for (const { t, r } of geodesic.samples) {
+    if (t < first.t || t > last.t) continue;
+    periapsis = Math.min(periapsis, r);
+    apoapsis = Math.max(apoapsis, r);
+  }
+
+  return {
+    passages,
+    precessionPerOrbit: passages.slice(1).map((passage, k) => Math.abs(passage.phi - passages[k].phi) - 2 * Math.PI),
+    precession: sweep - 2 * Math.PI,
+    radialPeriod,
+    azimuthalPeriod: 2 * Math.PI * radialPeriod / sweep,
+    periapsis,
+    apoapsis,
+    semiMajorAxis: (periapsis + apoapsis) / 2,
+    eccentricity: (apoapsis - periapsis) / (apoapsis + periapsis)
+  };
+};
+
+// Lapse α, circumferential radius ϖ and dragging rate ω of the observers that see no rotation at
+// radius r on the equator. Without spin they are the static observers, with α = √(1 − 2M/r) and ϖ = r.
+// Written into frame when one is given, so batches can reuse it.
+const localFrame = (r, M, a = 0, Q = 0, frame = {}) => {
+  const A = kerrA(r, M, a, Q);
+  frame.lapse = r * Math.sqrt(kerrDelta(r, M, a, Q) / A);
+  frame.circumference = Math.sqrt(A) / r;
+  frame.frameDragging = frameDraggingRate(r, M, a, Q);
+  return frame;
+};
+
+// Highest speed a local observer is taken to measure, keeping the Lorentz factor finite at the horizon
+const MAX_LOCAL_SPEED = 0.999999;
+
+// Radial and tangential velocity, and the Lorentz factor of the orbit's energy, measured by the
+// observer of the given localFrame at r for a particle with dr/dτ = ur, written into out as [vr, vφ, γ]
+const localVelocityComponents = (r, ur, M, E, L, a, Q, { lapse, circumference, frameDragging }, out = new Array(3)) => {
+  const gamma = (E - frameDragging * L) / lapse;
+  out[0] = r * ur / (Math.sqrt(kerrDelta(r, M, a, Q)) * gamma);
+  out[1] = L / (circumference * gamma);
+  out[2] = gamma;
+  return out;
+};
+
+// Quantities measured by a local (static, or with spin non-rotating) observer at r for a particle
+// with dr/dτ = ur
+const localObservables = (r, ur, M, E, L, a = 0, Q = 0) => {
+  const frame = localFrame(r, M, a, Q);
+  const { lapse, circumference, frameDragging } = frame;
+  const [radialVelocity, tangentialVelocity, gamma] = localVelocityComponents(r, ur, M, E, L, a, Q, frame);
+  const localVelocity = Math.min(Math.hypot(radialVelocity, tangentialVelocity), MAX_LOCAL_SPEED);
+  const lorentzFactor = 1 / Math.sqrt(1 - localVelocity * localVelocity);
+  const dtdtau = gamma / lapse;
+  const angularVelocity = frameDragging + lapse * tangentialVelocity / circumference;
+  return {
+    timeDilation: 1 / dtdtau,
+    localVelocity,
+    radialVelocity,
+    tangentialVelocity,
+    properVelocity: lorentzFactor * localVelocity,
+    coordinateVelocity: Math.hypot(ur, r * angularVelocity * dtdtau) / dtdtau,
+    angularVelocity,
+    frameDragging,
+    redshift: 1 / lapse - 1
+  };
+};
+
+// Initial conditions for a particle at (r, φ) moving with the given velocity (fraction of c) as
+// measured by a local observer there
+const initialConditionsFromVelocity = ({ M, a = 0, Q = 0, r, phi, radialVelocity, tangentialVelocity }) => {
+  const { lapse, circumference, frameDragging } = localFrame(r, M, a, Q);
+  const speed = Math.min(Math.hypot(radialVelocity, tangentialVelocity), 0.99);
+  const scale = speed > 0 ? speed / Math.hypot(radialVelocity, tangentialVelocity) : 0;
+  const lorentzFactor = 1 / Math.sqrt(1 - speed * speed);
+  const L = lorentzFactor * tangentialVelocity * scale * circumference;
+  return {
+    r0: r,
+    phi0: phi,
+    E: lorentzFactor * lapse + frameDragging * L,
+    L,
+    inward: radialVelocity < 0
+  };
+};
+
+// Direction of travel in the flat (x, z) picture, unwrapped through the accumulated φ
+const travelDirection = ({ r, phi, ur }, L) => phi + Math.atan2(L / r, ur);
+
+// Total bending of an escaped ray between its first and last sample; null for captured rays
+const rayDeflection = ({ samples, L, fate }) => {
+  if (fate === 'plunge') return null;
+  return Math.abs(travelDirection(samples[samples.length - 1], L) - travelDirection(samples[0], L));
+};
+
+// A ray leaving a source at sourceDistance along sourceAngle, aimed back past the hole with impact parameter b
+const lightRayInitialConditions = ({ sourceDistance, sourceAngle, b }) => {
+  const x = sourceDistance * Math.cos(sourceAngle) - b * Math.sin(sourceAngle);
+  const z = sourceDistance * Math.sin(sourceAngle) + b * Math.cos(sourceAngle);
+  return { r0: Math.hypot(x, z), phi0: Math.atan2(z, x), E: 1, L: b, inward: true, epsilon: 0 };
+};
+
+// Captured rays fall in; rays turned back by more than 180° have looped around the photon sphere
+const classifyRay = (geodesic) => {
+  const deflection = rayDeflection(geodesic);
+  if (deflection === null) return 'captured';
+  return deflection > Math.PI ? 'orbiting' : 'deflected';
+};
+
+// Lensing of the sky as seen by a static observer at radius rObs. A ray leaving the observer at angle ψ
+// from the direction of the hole has b = rObs sin ψ / √(1 − 2M/rObs); with u = 1/r it sweeps
+// dφ/du = 1/√G(u), G(u) = 1/b² − u² + 2Mu³, out to infinity. The escaping direction is the one at
+// angle Δφ from the observer's radial direction, turned towards the ray's initial heading.
+
+// Adaptive Simpson quadrature
+const adaptiveSimpson = (f, a, b, tolerance, depth = 40) => {
+  const simpson = (fa, fm, fb, h) => h / 6 * (fa + 4 * fm + fb);
+  const refine = (a, b, fa, fm, fb, whole, tolerance, depth) => {
+    const m = (a + b) / 2;
+    const lm = f((a + m) / 2);
+    const rm = f((m + b) / 2);
+    const left = simpson(fa, lm, fm, m - a);
+    const right = simpson(fm, rm, fb, b - m);
+    if (depth <= 0 || Math.abs(left + right - whole) <= 15 * tolerance) {
+      return left + right + (left + right - whole) / 15;
+    }
+    return refine(a, m, fa, lm, fm, left, tolerance / 2, depth - 1) +
+      refine(m, b, fm, rm, fb, right, tolerance / 2, depth - 1);
+  };
+  const [fa, fm, fb] = [f(a), f((a + b) / 2), f(b)];
+  return refine(a, b, fa, fm, fb, simpson(fa, fm, fb, b - a), tolerance, depth);
+};
+
+// Δφ swept between u = lower and u = upper, where G(upper) = Gupper ≥ 0. Writing u = upper − w t² with
+// w = upper − lower and G(u) = Gupper + (upper − u)K(upper − u) removes the 1/√ singularity at a turning point.
+const sweepBetween = (M, lower, upper, Gupper) => {
+  const w = upper - lower;
+  const K = (delta) => 2 * upper - delta - 2 * M * (3 * upper * upper - 3 * upper * delta + delta * delta);
+  const integrand = (t) => {
+    const delta = w * t * t;
+    return Gupper > 0 ? 2 * w * t / Math.sqrt(Gupper + delta * K(delta)) : 2 * Math.sqrt(w / K(delta));
+  };
+  return adaptiveSimpson(integrand, 0, 1, 1e-10);
+};
+
+// Angle from the hole's direction inside which every ray is captured: the shadow's angular radius.
+// Inside the photon sphere the escape cone opens away from the hole instead.
+const shadowAngle = (M, observerRadius) => {
+  const sine = criticalImpactParameter(M) * Math.sqrt(1 - 2 * M / observerRadius) / observerRadius;
+  return observerRadius >= 3 * M ? Math.asin(sine) : Math.PI - Math.asin(sine);
+};
+
+// Δφ for a ray leaving the observer at angle ψ (radians), or null when it is captured
+const lensingSweep = (M, observerRadius, psi) => {
+  if (psi <= shadowAngle(M, observerRadius)) return null;
+  const uObs = 1 / observerRadius;
+  const sine = Math.sin(psi);
+  if (psi >= Math.PI / 2 || sine === 0) {
+    // Heading outwards: straight from the observer to infinity
+    return sweepBetween(M, 0, uObs, (1 - 2 * M * uObs) * uObs * uObs * (1 / (sine * sine) - 1));
+  }
+  // Heading inwards past periapsis r0, the largest root of r³ − b²r + 2Mb² = 0
+  const b = observerRadius * sine / Math.sqrt(1 - 2 * M * uObs);
+  const uPeri = 1 / (2 * b / Math.sqrt(3) * Math.cos(Math.acos(-3 * Math.sqrt(3) * M / b) / 3));
+  return sweepBetween(M, 0, uPeri, 0) + sweepBetween(M, uObs, uPeri, 0);
+};
+
+// Δφ tabulated against ψ from the shadow's edge to π, denser towards the edge where Δφ diverges:
+// entry k is at ψ = ψc + (π − ψc)((k + 1)/size)². The observer is kept outside 1.05 rs.
+const lensingTable = (M, observerRadius, size = 512) => {
+  const radius = Math.max(observerRadius, 2.1 * M);
+  const edge = shadowAngle(M, radius);
+  const sweep = new Float32Array(size);
+  for (let k = 0; k < size; k++) {
+    sweep[k] = lensingSweep(M, radius, edge + (Math.PI - edge) * ((k + 1) / size) ** 2);
+  }
+  return { M, observerRadius: radius, shadowAngle: edge, size, sweep };
+};
+
+// Δφ at angle ψ by interpolating the table, or null inside the shadow
+const tabulatedSweep = ({ shadowAngle: edge, size, sweep }, psi) => {
+  if (psi <= edge) return null;
+  const x = Math.max(0, Math.sqrt((psi - edge) / (Math.PI - edge)) * size - 1);
+  const k = Math.min(size - 2, Math.floor(x));
+  return sweep[k] + (sweep[k + 1] - sweep[k]) * Math.min(1, x - k);
+};
+
+// Where a ray leaving the observer (position relative to the hole) along direction reaches the sky,
+// as a unit vector, or null if it falls in. This is the CPU reference for the lensed sky shader.
+const lensedDirection = (table, observer, direction) => {
+  const length = (v) => Math.hypot(v[0], v[1], v[2]);
+  const radial = observer.map((x) => x / length(observer));
+  const view = direction.map((x) => x / length(direction));
+  const outward = view[0] * radial[0] + view[1] * radial[1] + view[2] * radial[2];
+  const sweep = tabulatedSweep(table, Math.acos(Math.max(-1, Math.min(1, -outward))));
+  if (sweep === null) return null;
+  const across = view.map((x, i) => x - outward * radial[i]);
+  const acrossLength = length(across);
+  if (acrossLength < 1e-9) return view;
+  return radial.map((x, i) => Math.cos(sweep) * x + Math.sin(sweep) * across[i] / acrossLength);
+};
+
+// Angle from the hole at which a source directly behind it appears as a ring (Δφ = π), or n loops
+// further in for the higher-order rings (Δφ = (2n + 1)π)
+const einsteinRingAngle = (table, order = 0) => {
+  const target = (2 * order + 1) * Math.PI;
+  let lo = table.shadowAngle;
+  let hi = Math.PI;
+  for (let k = 0; k < 60; k++) {
+    const mid = (lo + hi) / 2;
+    if (tabulatedSweep(table, mid) > target) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Thin accretion disk of gas on prograde circular orbits, ending at the ISCO
+
+// Angular velocity Ω = dφ/dt and u^t = dt/dτ of the circular orbit at r
+const circularOrbitMotion = (r, M, a = 0, Q = 0) => {
+  const { E, L } = circularOrbitInvariants(r, M, a, Q);
+  const [dt, , dphi] = geodesicDerivatives([0, r, 0, 0], M, E, L, 1, 0, a, Q);
+  return { E, L, angularVelocity: dphi / dt, ut: dt };
+};
+
+// Novikov–Thorne flux emitted from each face per unit accretion rate (Page & Thorne 1974),
+// F = −Ω,r / (4π r (E − ΩL)²) ∫ (E − ΩL) L,r dr from the ISCO out to r. The integral starts a hair
+// outside the ISCO so the difference quotients stay on real orbits.
+const diskFlux = (r, M, a = 0, Q = 0) => {
+  const inner = iscoRadius(M, a, Q);
+  if (!(r > inner)) return 0;
+  const derivative = (x, key) => {
+    const h = 1e-5 * x;
+    return (circularOrbitMotion(x + h, M, a, Q)[key] - circularOrbitMotion(x - h, M, a, Q)[key]) / (2 * h);
+  };
+  const { E, L, angularVelocity } = circularOrbitMotion(r, M, a, Q);
+  const integral = adaptiveSimpson((x) => {
+    const orbit = circularOrbitMotion(x, M, a, Q);
+    return (orbit.E - orbit.angularVelocity * orbit.L) * derivative(x, 'L');
+  }, inner * (1 + 1e-4), r, 1e-10 * M);
+  const flux = -derivative(r, 'angularVelocity') / (4 * Math.PI * r * (E - angularVelocity * L) ** 2) * integral;
+  return Number.isFinite(flux) ? Math.max(0, flux) : 0;
+};
+
+// Ratio of observed to emitted frequency for light from the disk at r reaching an observer at
+// observerRadius. directionAlongOrbit is the component of the unit direction from the gas towards the
+// observer along the gas's motion, taken in flat space (light bending between the two is ignored).
+// The local frame is the static one (the zero-angular-momentum one with spin), where a photon heading
+// that way has λ = L/E = n_φ / (α/C + ω n_φ) with lapse α and circumference radius C.
+const diskRedshiftFactor = (r, M, directionAlongOrbit, observerRadius, a = 0, Q = 0) => {
+  const { angularVelocity, ut } = circularOrbitMotion(r, M, a, Q);
+  const { lapse, circumference, frameDragging } = localFrame(r, M, a, Q);
+  const lambda = directionAlongOrbit / (lapse / circumference + frameDragging * directionAlongOrbit);
+  return 1 / (localFrame(observerRadius, M, a, Q).lapse * ut * (1 - angularVelocity * lambda));
+};
+
+// Conversion to SI. With the hole's mass in kg, one unit of M is GM/c² of length and GM/c³ of time.
+const SI = { G: 6.6743e-11, c: 299792458, hbar: 1.054571817e-34, kB: 1.380649e-23 };
+const SOLAR_MASS = 1.98847e30;
+
+const geometrizedUnits = (massKg) => ({
+  length: SI.G * massKg / (SI.c * SI.c),
+  time: SI.G * massKg / (SI.c * SI.c * SI.c)
+});
+
+// dimension is 'length' (metres) or 'time' (seconds)
+const toSI = (value, dimension, massKg) => value * geometrizedUnits(massKg)[dimension];
+const fromSI = (value, dimension, massKg) => value / geometrizedUnits(massKg)[dimension];
+
+// Hawking temperature in kelvin, T = ħcκ / 2πk_B, of a hole of massKg kilograms whose spin a and charge Q
+// are given in the same units as M; null for a naked singularity
+const hawkingTemperature = (massKg, M = 1, a = 0, Q = 0) => {
+  const kappa = surfaceGravity(M, a, Q);
+  if (kappa === null) return null;
+  return SI.hbar * SI.c * kappa * M / (2 * Math.PI * SI.kB * geometrizedUnits(massKg).length);
+};
+
+export {
+  // Metric quantities
+  COORDINATE_TIME_CUTOFF,
+  schwarzschildRadius,
+  staticTimeDilation,
+  gravitationalRedshift,
+  escapeVelocity,
+  tidalAccelerations,
+  tidalDisruptionRadius,
+  photonSphereRadius,
+  iscoRadius,
+  horizonRadii,
+  surfaceGravity,
+  ergosphereRadius,
+  frameDraggingRate,
+  localFrame,
+  radialVelocitySquared,
+  effectivePotential,
+  newtonianPotential,
+  criticalImpactParameter,
+  localObservables,
+  // Orbit invariants
+  circularAngularMomentum,
+  circularOrbitRadii,
+  circularOrbitInvariants,
+  turningPoints,
+  orbitFromTurningPoints,
+  initialConditionsFromVelocity,
+  periapsisShift,
+  periapsisPassages,
+  measurePrecession,
+  classifyOrbit,
+  measureOrbit,
+  // Geodesic stepping
+  geodesicDerivatives,
+  dormandPrinceStep,
+  integrateGeodesic,
+  sampleGeodesic,
+  createDust,
+  advanceDust,
+  dustSpeeds,
+  // Light rays
+  travelDirection,
+  rayDeflection,
+  lightRayInitialConditions,
+  classifyRay,
+  // Lensed sky
+  shadowAngle,
+  lensingSweep,
+  lensingTable,
+  tabulatedSweep,
+  lensedDirection,
+  einsteinRingAngle,
+  // Accretion disk
+  circularOrbitMotion,
+  diskFlux,
+  diskRedshiftFactor,
+  // Units
+  SI,
+  SOLAR_MASS,
+  geometrizedUnits,
+  toSI,
+  fromSI,
+  hawkingTemperature
+};
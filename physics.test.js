@@ -0,0 +1,383 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  schwarzschildRadius, staticTimeDilation, gravitationalRedshift, escapeVelocity, photonSphereRadius,
+  iscoRadius, effectivePotential, criticalImpactParameter, localObservables, circularAngularMomentum,
+  circularOrbitRadii, turningPoints, orbitFromTurningPoints, periapsisShift, measurePrecession,
+  integrateGeodesic, rayDeflection, classifyRay, SOLAR_MASS, geometrizedUnits, toSI, fromSI,
+  horizonRadii, ergosphereRadius, frameDraggingRate, radialVelocitySquared, circularOrbitInvariants,
+  geodesicDerivatives, travelDirection, shadowAngle, lensingSweep, lensingTable, tabulatedSweep,
+  lensedDirection, einsteinRingAngle, diskFlux, diskRedshiftFactor, classifyOrbit, measureOrbit,
+  surfaceGravity, hawkingTemperature, tidalAccelerations, tidalDisruptionRadius, SI, createDust, advanceDust,
+  sampleGeodesic, dustSpeeds
+} from './physics.js';
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+};
+
+const ARCSEC = Math.PI / (180 * 3600);
+
+test('horizon sits at rs = 2M', () => {
+  assert.equal(schwarzschildRadius(1), 2);
+  assert.equal(schwarzschildRadius(3.5), 7);
+  close(staticTimeDilation(2, 1), 0, 1e-15, 'clock rate at the horizon');
+});
+
+test('redshift and clock rate at r = 2rs', () => {
+  const M = 1;
+  const r = 2 * schwarzschildRadius(M);
+  close(staticTimeDilation(r, M), Math.SQRT1_2, 1e-15, 'dτ/dt');
+  close(gravitationalRedshift(r, M), Math.SQRT2 - 1, 1e-15, 'z');
+  close(localObservables(r, 0, M, Math.SQRT1_2, 0).redshift, Math.SQRT2 - 1, 1e-15, 'z of a static observer');
+});
+
+test('escape speed reaches c at the horizon', () => {
+  close(escapeVelocity(2, 1), 1, 1e-15, 'v_esc at rs');
+  close(escapeVelocity(8, 1), 0.5, 1e-15, 'v_esc at 4rs');
+});
+
+test('a star is torn apart where the 2M/r³ stretch beats its own surface gravity', () => {
+  const { radial, tangential } = tidalAccelerations(10, 1);
+  close(radial, 0.002, 1e-15, 'radial stretch');
+  close(tangential, -0.001, 1e-15, 'tangential squeeze');
+  // A Sun-like star at Sgr A* is disrupted at the Roche-like radius R☉(2M/M☉)^⅓
+  const holeMass = 4.3e6;
+  const sunRadius = 6.957e8;
+  const M = geometrizedUnits(holeMass * SOLAR_MASS).length;
+  const surface = SI.G * SOLAR_MASS / (sunRadius * sunRadius) / (SI.c * SI.c);
+  const r = tidalDisruptionRadius(M, sunRadius, surface);
+  close(r / (sunRadius * Math.cbrt(2 * holeMass)), 1, 1e-9, 'disruption radius');
+  close(tidalAccelerations(r, M).radial * sunRadius / surface, 1, 1e-9, 'stretch at that radius');
+});
+
+test('ISCO at 6M is where the stable and unstable circular orbits merge', () => {
+  const M = 2;
+  assert.equal(iscoRadius(M), 12);
+  // Just above the marginal L = √12 M, so rounding cannot push the discriminant below zero
+  const radii = circularOrbitRadii(M, Math.sqrt(12) * M * (1 + 1e-12));
+  close(radii.stable, 6 * M, 1e-4, 'stable radius');
+  close(radii.unstable, 6 * M, 1e-4, 'unstable radius');
+  assert.equal(circularOrbitRadii(M, 3 * M), null);
+
+  // E = √(8/9) and a locally measured orbital speed of c/2 there
+  const L = circularAngularMomentum(6 * M, M);
+  const E = Math.sqrt(effectivePotential(6 * M, M, L));
+  close(E, Math.sqrt(8 / 9), 1e-12, 'E at the ISCO');
+  close(localObservables(6 * M, 0, M, E, L).localVelocity, 0.5, 1e-12, 'orbital speed at the ISCO');
+});
+
+test('photon sphere at 3M is the peak of the null potential', () => {
+  const M = 1.5;
+  assert.equal(photonSphereRadius(M), 4.5);
+  const b = criticalImpactParameter(M);
+  close(b, 3 * Math.sqrt(3) * M, 1e-12, 'b_c');
+  const V = (r) => effectivePotential(r, M, b, 0);
+  close(V(3 * M), 1, 1e-12, 'V(3M) for b = b_c');
+  assert.ok(V(3 * M) > V(2.9 * M) && V(3 * M) > V(3.1 * M));
+});
+
+test('turning points recover the orbit they came from', () => {
+  const M = 1;
+  const { E, L } = orbitFromTurningPoints(10, 30, M);
+  const roots = turningPoints(M, E, L, 4, 40);
+  close(roots[roots.length - 2], 10, 1e-9, 'periapsis');
+  close(roots[roots.length - 1], 30, 1e-9, 'apoapsis');
+});
+
+test('integration conserves the energy equation (dr/dτ)² = E² − V', () => {
+  const M = 1;
+  const { E, L } = orbitFromTurningPoints(8, 20, M);
+  const { samples, fate } = integrateGeodesic({ M, r0: 20, E, L });
+  assert.equal(fate, 'bound');
+  const worst = Math.max(...samples.map(({ r, ur }) => Math.abs(ur * ur - (E * E - effectivePotential(r, M, L)))));
+  assert.ok(worst < 1e-8, `largest energy residual ${worst}`);
+});
+
+test('plunging and escaping orbits end the way their potentials say', () => {
+  const M = 1;
+  assert.equal(integrateGeodesic({ M, r0: 20, E: 0.98, L: 2 * M }).fate, 'plunge');
+  assert.equal(integrateGeodesic({ M, r0: 20, E: 1.02, L: 5 * M }).fate, 'escape');
+});
+
+test("Mercury's perihelion advances 43 arcseconds per century", () => {
+  const M = geometrizedUnits(SOLAR_MASS).length;
+  const shiftPerOrbit = periapsisShift(5.7909e10, 0.2056, M);
+  const orbitsPerCentury = 36525 / 87.969;
+  close(shiftPerOrbit * orbitsPerCentury / ARCSEC, 43.0, 0.1, 'arcsec per century');
+});
+
+test('integrated orbits precess at the post-Newtonian rate', () => {
+  const M = 1;
+  const periapsis = 200;
+  const apoapsis = 300;
+  const { E, L } = orbitFromTurningPoints(periapsis, apoapsis, M);
+  const geodesic = integrateGeodesic({ M, r0: apoapsis, E, L, maxProperTime: 4e5, maxSteps: 200000 });
+  const a = (periapsis + apoapsis) / 2;
+  const e = (apoapsis - periapsis) / (apoapsis + periapsis);
+  const p = a * (1 - e * e);
+  // At p = 240M the second-order term (3π/2)(18 + e²)(M/p)² is still about 2% of the total
+  const expected = periapsisShift(a, e, M) + 1.5 * Math.PI * (18 + e * e) * (M / p) ** 2;
+  close(measurePrecession(geodesic), expected, 0.005 * expected, 'precession per orbit');
+});
+
+test('a nearly circular orbit has the epicyclic periods', () => {
+  const M = 1;
+  const r = 20;
+  const { E, L } = orbitFromTurningPoints(19.8, 20.2, M);
+  const orbit = measureOrbit(integrateGeodesic({ M, r0: 20.2, E, L, maxProperTime: 2e4 }));
+  // Ω_φ = √(M/r³) and Ω_r = Ω_φ √(1 − 6M/r), up to corrections of order e²
+  const azimuthalPeriod = 2 * Math.PI * Math.sqrt(r ** 3 / M);
+  close(orbit.azimuthalPeriod, azimuthalPeriod, 1e-4 * azimuthalPeriod, 'T_φ');
+  close(orbit.radialPeriod, azimuthalPeriod / Math.sqrt(1 - 6 * M / r), 1e-4 * azimuthalPeriod, 'T_r');
+  close(orbit.precession, 2 * Math.PI * (1 / Math.sqrt(1 - 6 * M / r) - 1), 1e-3, 'advance per orbit');
+  close(orbit.eccentricity, 0.01, 1e-6, 'eccentricity');
+});
+
+test('a dust cloud stepped in coordinate time follows the integrated geodesics', () => {
+  const M = 1;
+  const eccentric = { r0: 20, ...orbitFromTurningPoints(8, 20, M), inward: true };
+  const dust = createDust([
+    { r0: 10, ...circularOrbitInvariants(10, M) },
+    eccentric,
+    { r0: 8, E: 0.95, L: 3, inward: true }
+  ], M);
+  const period = 2 * Math.PI * Math.sqrt(1000);
+  const steps = Math.round(period / 0.5);
+  for (let k = 0; k < steps; k++) advanceDust(dust, period / steps);
+
+  close(dust.r[0], 10, 1e-9, 'circular radius');
+  close(dust.phi[0], 2 * Math.PI, 1e-9, 'one turn in T = 2π√(r³/M)');
+  close(dust.tau[0] / dust.t, Math.sqrt(0.7), 1e-9, 'dτ/dt = √(1 − 3M/r)');
+
+  const { samples } = integrateGeodesic({ M, ...eccentric });
+  const { index, fraction } = sampleGeodesic(samples, dust.t);
+  const lerp = (key) => samples[index][key] + (samples[index + 1][key] - samples[index][key]) * fraction;
+  close(dust.r[1], lerp('r'), 1e-3, 'eccentric r');
+  close(dust.phi[1], lerp('phi'), 1e-3, 'eccentric φ');
+  assert.deepEqual([...dust.captured], [0, 0, 1]);
+});
+
+test('dust grain speeds match the local observables of each grain', () => {
+  const M = 1;
+  const a = 0.6;
+  const dust = createDust([
+    { r0: 9, ...circularOrbitInvariants(9, M, a) },
+    { r0: 15, E: 0.97, L: 3.5, inward: true }
+  ], M, a);
+  for (let k = 0; k < 20; k++) advanceDust(dust, 0.5);
+  const speeds = dustSpeeds(dust);
+  [0, 1].forEach(i => {
+    const { localVelocity } = localObservables(dust.r[i], dust.ur[i], M, dust.E[i], dust.L[i], a);
+    close(speeds[i], localVelocity, 1e-12, `grain ${i}`);
+  });
+});
+
+test('orbits are classified by their fate and energy', () => {
+  const M = 1;
+  const circular = circularOrbitInvariants(10, M);
+  const eccentric = orbitFromTurningPoints(8, 14, M);
+  assert.equal(classifyOrbit(integrateGeodesic({ M, r0: 10, ...circular })), 'circular');
+  assert.equal(classifyOrbit(integrateGeodesic({ M, r0: 14, ...eccentric })), 'bound');
+  assert.equal(classifyOrbit(integrateGeodesic({ M, r0: 10, E: 0.95, L: 2 })), 'plunging');
+  assert.equal(classifyOrbit(integrateGeodesic({ M, r0: 50, E: 1.1, L: 20 })), 'scattering');
+});
+
+test('light rays are captured below b_c and bent by 4M/b far from it', () => {
+  const M = 1;
+  const b = criticalImpactParameter(M);
+  const ray = (impact) => integrateGeodesic({ M, r0: 1000, E: 1, L: impact, epsilon: 0, escapeRadius: 1000 });
+  assert.equal(classifyRay(ray(0.99 * b)), 'captured');
+  assert.equal(classifyRay(ray(1.001 * b)), 'orbiting');
+
+  // The rays start and end at 1000M, and 4M/b is only the leading term, so allow 10%
+  const weak = 200;
+  const deflection = rayDeflection(ray(weak));
+  close(deflection, 4 * M / weak, 0.1 * 4 * M / weak, 'deflection at b = 200M');
+});
+
+test('SI conversion uses GM/c² and GM/c³', () => {
+  const { length, time } = geometrizedUnits(SOLAR_MASS);
+  close(length, 1476.6, 0.5, 'metres per solar M');
+  close(time, 4.9255e-6, 1e-9, 'seconds per solar M');
+  close(toSI(2, 'length', SOLAR_MASS), 2 * length, 1e-9, 'toSI');
+  close(fromSI(toSI(7, 'time', SOLAR_MASS), 'time', SOLAR_MASS), 7, 1e-12, 'round trip');
+});
+
+test('a solar-mass hole radiates at 62 nK and an extremal one not at all', () => {
+  close(surfaceGravity(1), 0.25, 1e-15, 'κ = 1/4M');
+  close(hawkingTemperature(SOLAR_MASS), 6.17e-8, 0.01e-8, 'T_H');
+  // Scaling M and a together leaves the temperature of the hole unchanged
+  close(hawkingTemperature(SOLAR_MASS, 3, 1.5), hawkingTemperature(SOLAR_MASS, 1, 0.5), 1e-20, 'scale free');
+  close(hawkingTemperature(SOLAR_MASS, 1, 0, 1), 0, 1e-20, 'extremal Q = M');
+  assert.equal(hawkingTemperature(SOLAR_MASS, 1, 0, 1.1), null);
+});
+
+test('Kerr horizons and ergosphere', () => {
+  const M = 1;
+  assert.deepEqual(horizonRadii(M), { outer: 2, inner: 0 });
+  const { outer, inner } = horizonRadii(M, 0.6);
+  close(outer, 1.8, 1e-12, 'r+');
+  close(inner, 0.2, 1e-12, 'r−');
+  close(ergosphereRadius(M, 0.6, Math.PI / 2), 2, 1e-12, 'equatorial ergosphere');
+  close(ergosphereRadius(M, 0.6, 0), outer, 1e-12, 'ergosphere at the pole');
+});
+
+test('Kerr ISCO runs from M (prograde) to 9M (retrograde) for an extremal hole', () => {
+  const M = 1;
+  close(iscoRadius(M, 0), 6, 1e-12, 'no spin');
+  close(iscoRadius(M, M), 1, 1e-12, 'prograde');
+  close(iscoRadius(M, -M), 9, 1e-12, 'retrograde');
+  close(photonSphereRadius(M, M), 1, 1e-12, 'prograde photon orbit');
+  close(photonSphereRadius(M, -M), 4, 1e-12, 'retrograde photon orbit');
+  close(criticalImpactParameter(M, M), 2, 1e-12, 'prograde b_c');
+  close(criticalImpactParameter(M, -M), 7, 1e-12, 'retrograde b_c');
+
+  // Circular orbits just outside the ISCO are stable and those just inside are not
+  const a = 0.7;
+  const isco = iscoRadius(M, a);
+  close(circularOrbitRadii(M, circularOrbitInvariants(1.1 * isco, M, a).L, a).stable, 1.1 * isco, 1e-6, 'outside');
+  close(circularOrbitRadii(M, circularOrbitInvariants(0.9 * isco, M, a).L, a).unstable, 0.9 * isco, 1e-6, 'inside');
+});
+
+test('circular Kerr orbits stay circular', () => {
+  const M = 1;
+  [0.9, -0.9].forEach((a) => {
+    const { E, L } = circularOrbitInvariants(10, M, a);
+    close(radialVelocitySquared(10, M, E, L, 1, a), 0, 1e-12, `(dr/dτ)² for a = ${a}`);
+    const { samples } = integrateGeodesic({ M, a, r0: 10, E, L });
+    const radii = samples.map(({ r }) => r);
+    close(Math.max(...radii) - Math.min(...radii), 0, 1e-6, `radius drift for a = ${a}`);
+  });
+});
+
+test('a particle with zero angular momentum is dragged around at ω', () => {
+  const M = 1;
+  const a = 0.9;
+  const r = 5;
+  const E = Math.sqrt(effectivePotential(r, M, 0, 1, a));
+  const [dt, , dphi] = geodesicDerivatives([0, r, 0, 0], M, E, 0, 1, 0, a);
+  close(dphi / dt, frameDraggingRate(r, M, a), 1e-12, 'dφ/dt');
+  // Far away ω falls off as 2J/r³ with J = aM
+  close(frameDraggingRate(1000, M, a) * 1e9, 2 * a * M, 1e-3, 'far-field ω r³');
+});
+
+test('spinning-hole geodesics conserve (dr/dτ)² = R/r⁴', () => {
+  const M = 1;
+  const a = 0.9;
+  const { E, L } = orbitFromTurningPoints(6, 20, M, a);
+  const roots = turningPoints(M, E, L, 2, 25, 400, a);
+  close(roots[roots.length - 2], 6, 1e-6, 'periapsis');
+  const { samples, fate } = integrateGeodesic({ M, a, r0: 20, E, L });
+  assert.equal(fate, 'bound');
+  const worst = Math.max(...samples.map(({ r, ur }) => Math.abs(ur * ur - radialVelocitySquared(r, M, E, L, 1, a))));
+  assert.ok(worst < 1e-8, `largest residual ${worst}`);
+});
+
+test('charged horizons sit at r± = M ± √(M² − Q²) and vanish beyond Q = M', () => {
+  const M = 1;
+  const { outer, inner } = horizonRadii(M, 0, 0.6);
+  close(outer, 1.8, 1e-12, 'outer horizon');
+  close(inner, 0.2, 1e-12, 'inner horizon');
+  assert.equal(horizonRadii(M, 0, 1.1), null);
+  // Extremal Reissner–Nordström: r± = M, ISCO 4M, photon sphere 2M
+  close(iscoRadius(M, 0, 1), 4, 1e-9, 'extremal ISCO');
+  close(photonSphereRadius(M, 0, 1), 2, 1e-12, 'extremal photon sphere');
+  close(criticalImpactParameter(M, 0, 1), 4, 1e-12, 'extremal b_c');
+});
+
+test('circular charged orbits stay circular and eccentric ones conserve energy', () => {
+  const M = 1;
+  const Q = 0.8;
+  const { E, L } = circularOrbitInvariants(10, M, 0, Q);
+  close(radialVelocitySquared(10, M, E, L, 1, 0, Q), 0, 1e-12, '(dr/dτ)² on the circle');
+  close(circularOrbitRadii(M, L, 0, Q).stable, 10, 1e-6, 'stable radius');
+
+  const orbit = orbitFromTurningPoints(6, 20, M, 0, Q);
+  const { samples, fate } = integrateGeodesic({ M, Q, r0: 20, ...orbit });
+  assert.equal(fate, 'bound');
+  const worst = Math.max(...samples.map(({ r, ur }) =>
+    Math.abs(ur * ur - radialVelocitySquared(r, M, orbit.E, orbit.L, 1, 0, Q))));
+  assert.ok(worst < 1e-8, `largest residual ${worst}`);
+  close(Math.min(...samples.map(({ r }) => r)), 6, 1e-5, 'periapsis');
+});
+
+test('a particle falling into a naked singularity is turned back by the charge', () => {
+  const M = 1;
+  const Q = 1.2;
+  const { samples, fate } = integrateGeodesic({ M, Q, r0: 10, E: 0.95, L: 0, maxProperTime: 400 });
+  assert.notEqual(fate, 'plunge');
+  const closest = Math.min(...samples.map(({ r }) => r));
+  // Bounce where f(r) = E²
+  const bounce = (M - Math.sqrt(M * M - (1 - 0.95 ** 2) * Q * Q)) / (1 - 0.95 ** 2);
+  close(closest, bounce, 1e-4, 'bounce radius');
+});
+
+test('tabulated sky lensing matches integrated light rays', () => {
+  const M = 1;
+  const observerRadius = 30;
+  const table = lensingTable(M, observerRadius);
+  [0.2, 0.5, 1.5, 2.5].forEach((psi) => {
+    const b = observerRadius * Math.sin(psi) / Math.sqrt(1 - 2 * M / observerRadius);
+    const { samples, fate } = integrateGeodesic({
+      M, r0: observerRadius, E: 1, L: b, inward: Math.cos(psi) > 0, epsilon: 0,
+      escapeRadius: 5000, maxProperTime: 20000
+    });
+    assert.equal(fate, 'escape');
+    const reference = travelDirection(samples[samples.length - 1], b);
+    close(lensingSweep(M, observerRadius, psi), reference, 1e-6, `Δφ at ψ = ${psi}`);
+    close(tabulatedSweep(table, psi), reference, 1e-4, `tabulated Δφ at ψ = ${psi}`);
+  });
+});
+
+test('the shadow has the Synge radius and rings lie outside it', () => {
+  const M = 1;
+  const observerRadius = 30;
+  const table = lensingTable(M, observerRadius);
+  close(Math.sin(table.shadowAngle), Math.sqrt(27 * (1 - 2 / 30)) / 30, 1e-12, 'sin ψc');
+  assert.equal(lensedDirection(table, [observerRadius, 0, 0], [-1, 0.1, 0]), null);
+  assert.ok(shadowAngle(M, 2.5) > Math.PI / 2, 'inside the photon sphere the shadow covers more than half the sky');
+  const ring = einsteinRingAngle(table);
+  assert.ok(ring > table.shadowAngle && einsteinRingAngle(table, 1) < ring);
+  // The ring shows the point directly behind the hole
+  const seen = lensedDirection(table, [observerRadius, 0, 0], [-Math.cos(ring), Math.sin(ring), 0]);
+  close(seen[0], -1, 1e-6, 'direction behind the hole');
+  // Without mass the sky is undistorted
+  const flat = lensedDirection(lensingTable(1e-9, observerRadius), [0, 0, observerRadius], [0.6, 0, -0.8]);
+  flat.forEach((x, i) => close(x, [0.6, 0, -0.8][i], 1e-4, 'flat-space direction'));
+});
+
+test('disk flux follows the closed-form Page–Thorne profile', () => {
+  const M = 1;
+  // Page & Thorne (1974) in x = √(r/M), with x1..x3 the roots of x³ − 3x + 2a = 0
+  const closedForm = (r, a) => {
+    const x = Math.sqrt(r / M);
+    const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a));
+    const z2 = Math.sqrt(3 * a * a + z1 * z1);
+    const x0 = Math.sqrt(3 + z2 - Math.sqrt((3 - z1) * (3 + z1 + 2 * z2)));
+    const roots = [(Math.acos(a) - Math.PI) / 3, (Math.acos(a) + Math.PI) / 3, Math.acos(a) / 3]
+      .map((angle, i) => (i === 2 ? -2 : 2) * Math.cos(angle));
+    const logs = roots.reduce((sum, xi, i) => {
+      const [xj, xk] = roots.filter((_, j) => j !== i);
+      return sum + 3 * (xi - a) ** 2 / (xi * (xi - xj) * (xi - xk)) * Math.log((x - xi) / (x0 - xi));
+    }, 0);
+    return 3 / (8 * Math.PI * M * M) / (x ** 4 * (x ** 3 - 3 * x + 2 * a)) *
+      (x - x0 - 1.5 * a * Math.log(x / x0) - logs);
+  };
+  [[0.001, 7], [0.001, 20], [0.9, 3], [0.9, 10]].forEach(([a, r]) => {
+    const expected = closedForm(r, a);
+    close(diskFlux(r, M, a) / expected, 1, 1e-6, `F(${r}M) for a = ${a}`);
+  });
+  assert.equal(diskFlux(5, M), 0, 'no emission inside the ISCO');
+});
+
+test('disk light is blueshifted on the approaching side and redshifted on the receding side', () => {
+  const M = 1;
+  const far = 1e9;
+  // Face-on only u^t remains: g = √(1 − 3M/r)
+  close(diskRedshiftFactor(10, M, 0, far), Math.sqrt(0.7), 1e-8, 'face-on');
+  // Edge-on, g = √(1 − 3M/r) / (1 ∓ v) with v = √(M/(r − 2M)) measured by static observers
+  const v = Math.sqrt(1 / 8);
+  close(diskRedshiftFactor(10, M, 1, far), Math.sqrt(0.7) / (1 - v), 1e-8, 'approaching');
+  close(diskRedshiftFactor(10, M, -1, far), Math.sqrt(0.7) / (1 + v), 1e-8, 'receding');
+});